@@ -1,6 +1,12 @@
 varying vec2 vUv;
 uniform float uTime;
 
+// Per-cube look: hue shift (turns), brightness, animation speed, pattern offset
+uniform float uHue;
+uniform float uIntensity;
+uniform float uSpeed;
+uniform float uSeed;
+
 vec3 palette( float t )
 {
 
@@ -13,20 +19,34 @@ vec3 palette( float t )
     
 }
 
+// Rotate the colour around the grey axis
+vec3 hueShift( vec3 col, float hue )
+{
+
+    const vec3 k = vec3(0.57735);
+    float angle = hue * 6.28318;
+    float cosAngle = cos(angle);
+
+    return col * cosAngle + cross(k, col) * sin(angle) + k * dot(k, col) * (1.0 - cosAngle);
+
+}
+
 void main() {
     
     vec2 mUv = vec2(vUv.x - 0.5, vUv.y - 0.5);
 
     float d = length(mUv);
 
-    vec3 col = palette(d + uTime);
+    float t = uTime * uSpeed + uSeed;
+
+    vec3 col = hueShift(palette(d + t), uHue);
 
-    d = sin(d * 8.0 + uTime) / 8.0;
+    d = sin(d * 8.0 + t) / 8.0;
     d = abs(d);
 
     d = 0.02 / d;
 
-    col *= d;
+    col *= d * uIntensity;
 
     gl_FragColor = vec4(col, 1.0);
 
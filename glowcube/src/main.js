@@ -10,20 +10,176 @@ import fragmentShader from './assets/shaders/fragment.glsl';
 // Global state
 // -----------------------------------------------------------------------------
 
-let renderer, scene, camera, clock;
+let renderer, scene, camera, clock, listener;
 let handLeft, handRight;
 
 let rThumbObj, rIndexObj, lThumbObj, lIndexObj;
+let rPalmObj, lPalmObj;
+let rHandTracked = false;
+let lHandTracked = false;
 let rPinchSphere, lPinchSphere;
 let lPinchOn = false;
 let rPinchOn = false;
 let scalingOn = false;
+let palmsTogether = false;
 
-let tempCube, box, boxMaterial;
-let world, cubeShape, cubeBody;
+let tempCube, boxMaterial, cubeMaterial, glowTime;
+let selectedShape, shapeMenu;
+
+// Unit-sized geometry per spawnable kind, shared by every mesh of that kind
+const shapeGeometries = {};
+
+// Wrist menu icons: { kind, mesh }
+let shapeMenuItems = [];
+let world, cubePhysicsMaterial, handPhysicsMaterial;
+
+// Kinematic spheres following each hand's joints: { enabled, togglePinchOn, colliders: [{ joint, body, mesh, active, lastPosition }] }
+const handColliders = {};
+
+// Spawned shapes ("cubes" whatever their kind), oldest first:
+// { kind, size, shader, mesh, body }, shader holding its glow parameters
+// ({ hue, intensity, speed, seed }) and mesh its own material for them
+let cubes = [];
+
+// Single-hand grabs: { pinchOn, cube, localPosition, localQuaternion, history: [{ time, position, quaternion }] }
+const grabs = {
+  left: { pinchOn: false, cube: null, localPosition: null, localQuaternion: null, history: [] },
+  right: { pinchOn: false, cube: null, localPosition: null, localQuaternion: null, history: [] }
+};
+
+// Real-world surfaces as static bodies: detected planes (XRPlane → surface)
+// and, without plane detection, patches placed by hit tests.
+// Surfaces: { body, shape, mesh, center, lastChangedTime }, patches add a normal
+const planeSurfaces = new Map();
+let hitSurfaces = [];
+let hitTestSource = null;
+let surfaceGeometry, surfaceMaterial;
+
+let presetIndex = 0; // START_PRESET once init() runs
+const presetPinchOn = { left: false, right: false };
+
+// Collision sounds: muted flag, toggle gesture state, start times (s) of recent sounds
+let soundMuted = false; // ?sound=off, read in setupSound()
+const mutePinchOn = { left: false, right: false };
+let recentSoundTimes = [];
 
 let previousTime = 0;
 
+// -----------------------------------------------------------------------------
+// Config
+// -----------------------------------------------------------------------------
+
+const urlParams = new URLSearchParams(window.location.search);
+
+// Cubes alive at once (?cubes=N); past the limit the oldest one is recycled
+const MAX_CUBES = (() => {
+  const n = parseInt(urlParams.get('cubes'), 10);
+  return n > 0 ? n : 10;
+})();
+
+// Two-hand pinches smaller than this (edge length, m) don't spawn a cube
+const MIN_CUBE_SIZE = 0.01;
+
+// Palms closer than this (m), with no pinch, count as a clap: clears all cubes
+const CLAP_DISTANCE = 0.06;
+
+// Number from the URL, for tuning on the headset without a rebuild
+function numberParam(name, fallback) {
+  const value = parseFloat(urlParams.get(name));
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// Hand joints that push cubes around, as kinematic spheres (radius in m)
+const HAND_COLLIDER_JOINTS = [
+  { joint: 'thumb-tip', radius: 0.01 },
+  { joint: 'index-finger-tip', radius: 0.009 },
+  { joint: 'middle-finger-tip', radius: 0.009 },
+  { joint: 'ring-finger-tip', radius: 0.009 },
+  { joint: 'pinky-finger-tip', radius: 0.008 },
+  { joint: 'index-finger-phalanx-proximal', radius: 0.011 },
+  { joint: 'middle-finger-metacarpal', radius: 0.035 } // palm
+];
+
+// Hand ↔ cube contacts: ?handFriction=, ?handRestitution=, ?handStiffness=,
+// ?handRelaxation=, ?handMaxSpeed= override the defaults
+const HAND_CONTACT = {
+  friction: numberParam('handFriction', 0.4),
+  restitution: numberParam('handRestitution', 0.1),
+  stiffness: numberParam('handStiffness', 1e6),  // lower = softer, spongier pushes
+  relaxation: numberParam('handRelaxation', 3),  // higher = more damped contacts
+  maxSpeed: numberParam('handMaxSpeed', 4)       // m/s cap, so tracking jumps don't fling cubes
+};
+
+// Which hands collide at start: ?hands=both|left|right|none.
+// Touching thumb and middle finger toggles a hand's colliders.
+const HANDS_PARAM = urlParams.get('hands') ?? 'both';
+const TOGGLE_PINCH_DISTANCE = 0.02;
+
+// Collision groups: hand spheres touch cubes and surfaces but not each other
+// (cannon's default mask is 1, so world bodies must opt in to the hand group)
+const WORLD_GROUP = 1;
+const HAND_GROUP = 2;
+const WORLD_MASK = WORLD_GROUP | HAND_GROUP;
+const HAND_MASK = WORLD_GROUP;
+
+// Spawnable primitives; ?shape= picks the one selected at start
+const SHAPE_KINDS = ['box', 'sphere', 'cylinder', 'capsule'];
+const START_SHAPE = SHAPE_KINDS.includes(urlParams.get('shape')) ? urlParams.get('shape') : 'box';
+
+// Cannon cylinders run along z, Three's along y
+const CYLINDER_ORIENTATION = new CANNON.Quaternion().setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+
+// Wrist menu: shown while the left palm faces the head, icons picked by
+// touching them with the right index fingertip (m)
+const MENU_PALM_FACING = 0.5; // min cosine between palm normal and the direction to the head
+const MENU_TOUCH_DISTANCE = 0.015;
+const MENU_ITEM_SIZE = 0.018;
+
+// Real surfaces are boxes this thick (m), top face on the surface
+const SURFACE_THICKNESS = 0.04;
+
+// Hit-test fallback: square patches this wide (m), at most this many
+const HIT_SURFACE_SIZE = 0.4;
+const MAX_HIT_SURFACES = 24;
+
+// ?surfaces=show outlines the surfaces cubes collide with
+const SHOW_SURFACES = urlParams.get('surfaces') === 'show';
+
+// Glow looks for new cubes, cycled by touching thumb and ring finger;
+// ?preset=<name> picks the first one. Each cube also gets a random seed.
+const GLOW_PRESETS = [
+  { name: 'classic', hue: 0, intensity: 1, speed: 1 },
+  { name: 'ocean', hue: 0.5, intensity: 1.1, speed: 0.6 },
+  { name: 'lime', hue: 0.25, intensity: 1, speed: 1.4 },
+  { name: 'violet', hue: 0.75, intensity: 1.2, speed: 0.8 },
+  { name: 'ember', hue: 0.92, intensity: 1.4, speed: 2.5 },
+  { name: 'calm', hue: 0.1, intensity: 0.7, speed: 0.25 }
+];
+const START_PRESET = Math.max(0, GLOW_PRESETS.findIndex(({ name }) => name === urlParams.get('preset')));
+const DEFAULT_GLOW = { hue: 0, intensity: 1, speed: 1, seed: 0 };
+const PRESET_PINCH_DISTANCE = 0.02;
+
+// Collision sounds: ?sound=off starts muted; touching thumb and pinky
+// (or pressing M) toggles. Impacts slower than MIN_IMPACT_SPEED (m/s) are
+// silent, LOUD_IMPACT_SPEED and up play at full volume.
+const MIN_IMPACT_SPEED = 0.25;
+const LOUD_IMPACT_SPEED = 3;
+const SOUND_COOLDOWN = 0.08; // s between sounds from the same cube
+const MAX_SOUNDS_PER_SECOND = 12;
+const MUTE_PINCH_DISTANCE = 0.02;
+
+// Cubes are saved here when the XR session ends and restored on re-entering
+const SCENE_STORAGE_KEY = 'glowcube.scene';
+const SCENE_VERSION = 1;
+
+// A pinch this close (m) to a cube's surface grabs it
+const GRAB_MARGIN = 0.02;
+
+// Throws use the hand's motion over this last stretch of time (s);
+// ?throwScale= multiplies the resulting velocities
+const THROW_HISTORY = 0.1;
+const THROW_SCALE = numberParam('throwScale', 1);
+
 // -----------------------------------------------------------------------------
 // Init
 // -----------------------------------------------------------------------------
@@ -41,6 +197,9 @@ function init() {
   camera.position.set(0, 1.6, 3);
   scene.add(camera);
 
+  // Ears on the camera, for positional collision sounds
+  setupSound();
+
   // Renderer
   renderer = new THREE.WebGLRenderer({ antialias: true });
   renderer.setPixelRatio(window.devicePixelRatio);
@@ -48,12 +207,19 @@ function init() {
   renderer.xr.enabled = true;
   document.body.appendChild(renderer.domElement);
 
-  // XR button (hand tracking + depth sensing)
+  // XR button (hand tracking + depth sensing, real surfaces from plane
+  // detection or hit tests)
   document.body.appendChild(
     XRButton.createButton(renderer, {
-      optionalFeatures: ['depth-sensing', 'hand-tracking']
+      optionalFeatures: ['depth-sensing', 'hand-tracking', 'plane-detection', 'hit-test']
     })
   );
+  renderer.xr.addEventListener('sessionstart', onSessionStart);
+  renderer.xr.addEventListener('sessionend', onSessionEnd);
+  window.addEventListener('pagehide', () => {
+    // Closing the tab mid-session may skip sessionend
+    if (renderer.xr.isPresenting) saveScene();
+  });
 
   // Lights
   setupLights();
@@ -67,20 +233,42 @@ function init() {
   //Virtual hands
   setupHands();
 
-  // Physics world + cube
+  // Physics world + floor
   setupPhysics();
-
-  // Visual cube linked to physics body
-  setupBoxMesh();
+  setupSurfaces();
+
+  // Kinematic colliders on the finger joints and palms
+  setupHandColliders();
+
+  // Shared glow material and shape geometries, plus the first cube
+  presetIndex = START_PRESET;
+  setupCubeMaterial();
+  setupShapeGeometries();
+  addCube({
+    kind: 'box',
+    position: new THREE.Vector3(0, 1.5, -0.5),
+    quaternion: new THREE.Quaternion(),
+    size: 0.2
+  });
 
   // Temp cube used while scaling between pinch points
   setupTempCube();
 
+  // Shape palette on the left wrist
+  setupShapeMenu();
+  selectShape(START_SHAPE);
+
   // Clock
   clock = new THREE.Clock();
 
   // Resize handling
   window.addEventListener('resize', onWindowResize, false);
+
+  // Desktop mute toggle; any click also unlocks audio
+  window.addEventListener('keydown', (event) => {
+    if (event.key === 'm' || event.key === 'M') setSoundMuted(!soundMuted);
+  });
+  window.addEventListener('click', resumeSound);
 }
 
 // -----------------------------------------------------------------------------
@@ -105,8 +293,10 @@ function setupJointReferences() {
   rIndexObj = new THREE.Mesh(sphereGeom, invisibleRed);
   lThumbObj = new THREE.Mesh(sphereGeom, invisibleRed);
   lIndexObj = new THREE.Mesh(sphereGeom, invisibleRed);
+  rPalmObj = new THREE.Mesh(sphereGeom, invisibleRed);
+  lPalmObj = new THREE.Mesh(sphereGeom, invisibleRed);
 
-  scene.add(rThumbObj, rIndexObj, lThumbObj, lIndexObj);
+  scene.add(rThumbObj, rIndexObj, lThumbObj, lIndexObj, rPalmObj, lPalmObj);
 }
 
 function setupPinchReferences() {
@@ -148,28 +338,44 @@ function setupPhysics() {
   world.addContactMaterial(defaultContactMaterial);
   world.defaultContactMaterial = defaultContactMaterial;
 
-  // Cube body
-  cubeShape = new CANNON.Box(new CANNON.Vec3(0.2 * 0.5, 0.2 * 0.5, 0.2 * 0.5));
-  cubeBody = new CANNON.Body({
-    mass: 1,
-    position: new CANNON.Vec3(0, 1.5, -0.5),
-    shape: cubeShape
-  });
-  world.addBody(cubeBody);
+  // Cubes vs hands get their own, tunable contact
+  cubePhysicsMaterial = new CANNON.Material('cube');
+  handPhysicsMaterial = new CANNON.Material('hand');
+  world.addContactMaterial(
+    new CANNON.ContactMaterial(cubePhysicsMaterial, handPhysicsMaterial, {
+      friction: HAND_CONTACT.friction,
+      restitution: HAND_CONTACT.restitution,
+      contactEquationStiffness: HAND_CONTACT.stiffness,
+      contactEquationRelaxation: HAND_CONTACT.relaxation
+    })
+  );
 
-  // Floor
+  // Floor, kept under the detected surfaces in case none are found
   const floorShape = new CANNON.Plane();
-  const floorBody = new CANNON.Body({ mass: 0 });
+  const floorBody = new CANNON.Body({ mass: 0, collisionFilterMask: WORLD_MASK });
   floorBody.addShape(floorShape);
   floorBody.quaternion.setFromAxisAngle(new CANNON.Vec3(-1, 0, 0), Math.PI * 0.5);
   floorBody.position.y = 0.01;
   world.addBody(floorBody);
 }
 
-function setupBoxMesh() {
-  const boxGeom = new THREE.BoxGeometry(0.2, 0.2, 0.2);
+function setupCubeMaterial() {
+  // One time uniform object shared by every glow material
+  glowTime = { value: 0 };
+
+  // Preview (temp cube, menu highlight), showing the selected preset
+  boxMaterial = createGlowMaterial(getPresetGlow());
+
+  // One material for every spawned cube; each mesh loads its own look
+  // into the uniforms just before it is drawn (see createCube)
+  cubeMaterial = createGlowMaterial(DEFAULT_GLOW);
+}
+
+/** Glow material showing `params` (hue, intensity, speed, seed) */
+function createGlowMaterial(params) {
+  const { hue, intensity, speed, seed } = params;
 
-  boxMaterial = new THREE.ShaderMaterial({
+  return new THREE.ShaderMaterial({
     vertexShader,
     fragmentShader,
     transparent: true,
@@ -178,20 +384,47 @@ function setupBoxMesh() {
     depthWrite: false,
     blending: THREE.AdditiveBlending,
     uniforms: {
-      uTime: { value: 0 },
-      resolution: { value: new THREE.Vector2(1800.0, 1800.0) }
+      uTime: glowTime,
+      resolution: { value: new THREE.Vector2(1800.0, 1800.0) },
+      uHue: { value: hue },
+      uIntensity: { value: intensity },
+      uSpeed: { value: speed },
+      uSeed: { value: seed }
     }
   });
+}
 
-  box = new THREE.Mesh(boxGeom, boxMaterial);
-  box.castShadow = true;
-  box.position.set(0, 1.5, -0.5);
-  scene.add(box);
+function setGlowParams(material, { hue, intensity, speed, seed }) {
+  material.uniforms.uHue.value = hue;
+  material.uniforms.uIntensity.value = intensity;
+  material.uniforms.uSpeed.value = speed;
+  material.uniforms.uSeed.value = seed;
+}
+
+// Saved or partial params → all four, defaults for anything missing or bad
+function normalizeGlow(shader) {
+  const params = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_GLOW)) {
+    params[key] = Number.isFinite(shader?.[key]) ? shader[key] : fallback;
+  }
+  return params;
+}
+
+function getPresetGlow(seed = 0) {
+  const { hue, intensity, speed } = GLOW_PRESETS[presetIndex];
+  return { hue, intensity, speed, seed };
+}
+
+// Each kind fits a 1 m box, so mesh.scale is the spawn size
+function setupShapeGeometries() {
+  shapeGeometries.box = new THREE.BoxGeometry(1, 1, 1);
+  shapeGeometries.sphere = new THREE.SphereGeometry(0.5, 32, 16);
+  shapeGeometries.cylinder = new THREE.CylinderGeometry(0.5, 0.5, 1, 32);
+  shapeGeometries.capsule = new THREE.CapsuleGeometry(0.25, 0.5, 8, 16);
 }
 
 function setupTempCube() {
-  const cubeGeom = new THREE.BoxGeometry(0.05, 0.05, 0.05);
-  tempCube = new THREE.Mesh(cubeGeom, boxMaterial);
+  tempCube = new THREE.Mesh(shapeGeometries.box, boxMaterial);
   tempCube.visible = false;
   scene.add(tempCube);
 }
@@ -205,20 +438,33 @@ function animate() {
   const deltaTime = elapsedTime - previousTime;
   previousTime = elapsedTime;
 
+  // Hand joints first, so the colliders are where the hands are this frame
+  updateJointReferences();
+  updateHandColliders(deltaTime);
+  updateHeldCubes(elapsedTime);
+  updateSurfaces();
+
   // Update physics
   world.step(1 / 60, deltaTime, 3);
 
-  // Sync visual box with physics body
-  box.position.copy(cubeBody.position);
-  box.quaternion.copy(cubeBody.quaternion);
+  // Sync visual cubes with their physics bodies
+  for (const { mesh, body } of cubes) {
+    mesh.position.copy(body.position);
+    mesh.quaternion.copy(body.quaternion);
+  }
 
-  // Update shader time uniform
-  boxMaterial.uniforms.uTime.value = elapsedTime;
+  // Update shader time uniform (shared by all glow materials)
+  glowTime.value = elapsedTime;
 
-  // Hand joints + pinch logic
-  updateJointReferences();
+  // Pinch logic
+  updateShapeMenu();
   updatePinchState();
+  handleGrabGesture(elapsedTime);
   handleScalingLogic();
+  handleClearGesture();
+  handleColliderToggleGesture();
+  handlePresetGesture();
+  handleMuteGesture();
 
   // Render
   renderer.render(scene, camera);
@@ -236,6 +482,11 @@ function updateJointReferences() {
 
     if (thumb) rThumbObj.position.copy(thumb.position);
     if (index) rIndexObj.position.copy(index.position);
+
+    // Joints report visible = false while the hand isn't tracked
+    const palm = handRight.joints['middle-finger-metacarpal'];
+    rHandTracked = Boolean(palm?.visible);
+    if (palm) rPalmObj.position.copy(palm.position);
   }
 
   // Left hand (index 1)
@@ -245,6 +496,10 @@ function updateJointReferences() {
 
     if (thumb) lThumbObj.position.copy(thumb.position);
     if (index) lIndexObj.position.copy(index.position);
+
+    const palm = handLeft.joints['middle-finger-metacarpal'];
+    lHandTracked = Boolean(palm?.visible);
+    if (palm) lPalmObj.position.copy(palm.position);
   }
 }
 
@@ -274,7 +529,8 @@ function updatePinchState() {
 }
 
 function handleScalingLogic() {
-  if (lPinchOn && rPinchOn) {
+  // A hand holding a cube doesn't start a two-hand spawn
+  if (lPinchOn && rPinchOn && (scalingOn || (!grabs.left.cube && !grabs.right.cube))) {
     if (!scalingOn) {
       tempCube.visible = true;
       scalingOn = true;
@@ -292,27 +548,16 @@ function handleScalingLogic() {
 function spawnCube() {
   cubeScaling(); // ensure latest scale/position
 
-  // Copy transform from tempCube to physics body
-  cubeBody.position.set(tempCube.position.x, tempCube.position.y, tempCube.position.z);
-  cubeBody.quaternion.set(
-    tempCube.quaternion.x,
-    tempCube.quaternion.y,
-    tempCube.quaternion.z,
-    tempCube.quaternion.w ?? cubeBody.quaternion.w
-  );
-
-  // Scale visual box
-  box.scale.set(tempCube.scale.x * 0.25, tempCube.scale.y * 0.25, tempCube.scale.z * 0.25);
-
-  // Update CANNON shape half-extents based on new scale
-  const newHalfExtents = new CANNON.Vec3(
-    box.scale.x * 0.125,
-    box.scale.y * 0.125,
-    box.scale.z * 0.125
-  );
+  const size = tempCube.scale.x;
+  if (size < MIN_CUBE_SIZE) return;
 
-  cubeShape.halfExtents = newHalfExtents;
-  cubeShape.updateConvexPolyhedronRepresentation();
+  addCube({
+    kind: selectedShape,
+    position: tempCube.position,
+    quaternion: tempCube.quaternion,
+    size,
+    shader: getPresetGlow(Math.random() * 100)
+  });
 }
 
 function cubeScaling() {
@@ -329,11 +574,939 @@ function cubeScaling() {
   tempCube.position.copy(midPoint);
   tempCube.lookAt(new THREE.Vector3().addVectors(tempCube.position, targetDir));
 
-  // Distance between pinch points → scale
+  // Distance between pinch points → size (m)
   const pointDist = rPinchSphere.position.distanceTo(lPinchSphere.position);
-  const scaleValue = THREE.MathUtils.mapLinear(pointDist, 0, 0.1, 0, 1);
+  const size = THREE.MathUtils.mapLinear(pointDist, 0, 0.1, 0, 0.05);
+
+  tempCube.scale.set(size, size, size);
+}
+
+// -----------------------------------------------------------------------------
+// Cube pool
+// -----------------------------------------------------------------------------
+
+/**
+ * Drop a `kind` shape, `size` m across, at the given pose. At MAX_CUBES
+ * the oldest one is removed first.
+ */
+function addCube({ kind, position, quaternion, size, shader = {} }) {
+  if (cubes.length >= MAX_CUBES) removeCube(cubes[0]);
+
+  const cube = createCube(kind, size, normalizeGlow(shader));
+  const { mesh, body } = cube;
+
+  body.position.set(position.x, position.y, position.z);
+  body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+
+  mesh.position.copy(position);
+  mesh.quaternion.copy(quaternion);
+
+  cubes.push(cube);
+  return cube;
+}
+
+function createCube(kind, size, shader) {
+  const body = new CANNON.Body({
+    mass: 1,
+    material: cubePhysicsMaterial,
+    collisionFilterMask: WORLD_MASK,
+  });
+  addPhysicsShapes(body, kind, size);
+  world.addBody(body);
+
+  const mesh = new THREE.Mesh(shapeGeometries[kind], cubeMaterial);
+  mesh.scale.setScalar(size);
+  scene.add(mesh);
+
+  const cube = { kind, size, shader, mesh, body, lastSoundTime: -Infinity };
+  mesh.onBeforeRender = () => {
+    setGlowParams(cubeMaterial, cube.shader);
+    cubeMaterial.uniformsNeedUpdate = true;
+  };
+  body.addEventListener('collide', (event) => onCubeCollide(cube, event));
+  return cube;
+}
+
+// Collision shapes matching shapeGeometries[kind] at `size`
+function addPhysicsShapes(body, kind, size) {
+  const half = size * 0.5;
+
+  switch (kind) {
+    case 'sphere':
+      body.addShape(new CANNON.Sphere(half));
+      break;
+    case 'cylinder':
+      body.addShape(new CANNON.Cylinder(half, half, size, 16), new CANNON.Vec3(), CYLINDER_ORIENTATION);
+      break;
+    case 'capsule': {
+      // Cylinder plus a sphere at each end
+      const radius = size * 0.25;
+      body.addShape(new CANNON.Cylinder(radius, radius, half, 16), new CANNON.Vec3(), CYLINDER_ORIENTATION);
+      body.addShape(new CANNON.Sphere(radius), new CANNON.Vec3(0, radius, 0));
+      body.addShape(new CANNON.Sphere(radius), new CANNON.Vec3(0, -radius, 0));
+      break;
+    }
+    default:
+      body.addShape(new CANNON.Box(new CANNON.Vec3(half, half, half)));
+  }
+}
+
+// Whether a point in the shape's local frame lies within `margin` of it
+function containsPoint(kind, size, local, margin) {
+  const half = size * 0.5;
+  const radial = Math.hypot(local.x, local.z);
+
+  switch (kind) {
+    case 'sphere':
+      return local.length() <= half + margin;
+    case 'cylinder':
+      return radial <= half + margin && Math.abs(local.y) <= half + margin;
+    case 'capsule': {
+      // Distance to the segment between the two end sphere centres
+      const radius = size * 0.25;
+      const dy = Math.max(Math.abs(local.y) - radius, 0);
+      return Math.hypot(radial, dy) <= radius + margin;
+    }
+    default:
+      return Math.max(Math.abs(local.x), Math.abs(local.y), Math.abs(local.z)) <= half + margin;
+  }
+}
+
+function removeCube(cube) {
+  world.removeBody(cube.body);
+  scene.remove(cube.mesh);
+  cubes = cubes.filter((other) => other !== cube);
+}
+
+function clearCubes() {
+  for (const cube of [...cubes]) removeCube(cube);
+}
+
+// Clap (palms together, no pinch) → clear all cubes and the saved scene, once per clap
+function handleClearGesture() {
+  const together =
+    rHandTracked &&
+    lHandTracked &&
+    !rPinchOn &&
+    !lPinchOn &&
+    rPalmObj.position.distanceTo(lPalmObj.position) < CLAP_DISTANCE;
+
+  if (together && !palmsTogether) {
+    clearCubes();
+    forgetScene();
+  }
+  palmsTogether = together;
+}
+
+// -----------------------------------------------------------------------------
+// Hand colliders
+// -----------------------------------------------------------------------------
+
+function setupHandColliders() {
+  const geometry = new THREE.SphereGeometry(1, 12, 12);
+  const material = new THREE.MeshBasicMaterial({
+    color: 0xffffff,
+    transparent: true,
+    opacity: 0.15,
+    depthWrite: false
+  });
+
+  for (const side of ['left', 'right']) {
+    const colliders = HAND_COLLIDER_JOINTS.map(({ joint, radius }) => {
+      const body = new CANNON.Body({
+        mass: 0,
+        type: CANNON.Body.KINEMATIC,
+        shape: new CANNON.Sphere(radius),
+        material: handPhysicsMaterial,
+        collisionFilterGroup: HAND_GROUP,
+        collisionFilterMask: 0 // off until the joint is tracked
+      });
+      world.addBody(body);
+
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.scale.setScalar(radius);
+      mesh.visible = false;
+      scene.add(mesh);
+
+      return { joint, body, mesh, active: false, lastPosition: new THREE.Vector3() };
+    });
+
+    handColliders[side] = {
+      enabled: HANDS_PARAM === 'both' || HANDS_PARAM === side,
+      togglePinchOn: false,
+      colliders
+    };
+  }
+}
+
+/**
+ * Move each hand's spheres onto its joints. The velocity from last
+ * frame's joint position is what a push hands on to the cubes (not from
+ * the body's, which world.step has already moved on by that velocity).
+ */
+function updateHandColliders(deltaTime) {
+  const tracked = { left: lHandTracked, right: rHandTracked };
+  const hands = { left: handLeft, right: handRight };
+  const velocity = new CANNON.Vec3();
+
+  for (const side of ['left', 'right']) {
+    const { enabled, colliders } = handColliders[side];
+
+    for (const collider of colliders) {
+      const { body, mesh } = collider;
+      const joint = hands[side]?.joints?.[collider.joint];
+      const active = enabled && tracked[side] && Boolean(joint?.visible);
+
+      if (!active) {
+        body.collisionFilterMask = 0;
+        body.velocity.setZero();
+        mesh.visible = false;
+        collider.active = false;
+        continue;
+      }
+
+      const { x, y, z } = joint.position;
+
+      // No velocity on the first tracked frame, the body may be far away
+      if (collider.active && deltaTime > 0) {
+        const { lastPosition } = collider;
+        velocity.set(x - lastPosition.x, y - lastPosition.y, z - lastPosition.z);
+        velocity.mult(1 / deltaTime, velocity);
+        const speed = velocity.norm();
+        if (speed > HAND_CONTACT.maxSpeed) velocity.mult(HAND_CONTACT.maxSpeed / speed, velocity);
+        body.velocity.copy(velocity);
+      } else {
+        body.velocity.setZero();
+      }
+
+      body.position.set(x, y, z);
+      collider.lastPosition.copy(joint.position);
+      body.collisionFilterMask = HAND_MASK;
+      mesh.position.copy(joint.position);
+      mesh.visible = true;
+      collider.active = true;
+    }
+  }
+}
+
+// Thumb + middle finger touch → toggle that hand's colliders
+function handleColliderToggleGesture() {
+  const hands = { left: handLeft, right: handRight };
+  const tracked = { left: lHandTracked, right: rHandTracked };
+  const indexPinching = { left: lPinchOn, right: rPinchOn };
+
+  for (const side of ['left', 'right']) {
+    const state = handColliders[side];
+    const thumb = hands[side]?.joints?.['thumb-tip'];
+    const middle = hands[side]?.joints?.['middle-finger-tip'];
+
+    const pinching =
+      tracked[side] &&
+      !indexPinching[side] && // a spawn pinch can bring the middle finger close too
+      Boolean(thumb && middle) &&
+      thumb.position.distanceTo(middle.position) < TOGGLE_PINCH_DISTANCE;
+
+    if (pinching && !state.togglePinchOn) {
+      state.enabled = !state.enabled;
+    }
+    state.togglePinchOn = pinching;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Glow presets
+// -----------------------------------------------------------------------------
+
+/**
+ * Thumb + ring finger touch → next preset, for the preview and new
+ * cubes. Cubes held at the time take it on too (keeping their seed).
+ */
+function handlePresetGesture() {
+  const hands = { left: handLeft, right: handRight };
+  const tracked = { left: lHandTracked, right: rHandTracked };
+  const indexPinching = { left: lPinchOn, right: rPinchOn };
+
+  for (const side of ['left', 'right']) {
+    const thumb = hands[side]?.joints?.['thumb-tip'];
+    const ring = hands[side]?.joints?.['ring-finger-tip'];
+
+    const pinching =
+      tracked[side] &&
+      !indexPinching[side] &&
+      !handColliders[side].togglePinchOn && // the middle finger can come along
+      Boolean(thumb && ring) &&
+      thumb.position.distanceTo(ring.position) < PRESET_PINCH_DISTANCE;
+
+    if (pinching && !presetPinchOn[side]) {
+      selectPreset((presetIndex + 1) % GLOW_PRESETS.length);
+    }
+    presetPinchOn[side] = pinching;
+  }
+}
+
+function selectPreset(index) {
+  presetIndex = index;
+  setGlowParams(boxMaterial, getPresetGlow());
+
+  for (const { cube } of Object.values(grabs)) {
+    if (!cube) continue;
+    cube.shader = getPresetGlow(cube.shader.seed);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Shape palette
+// -----------------------------------------------------------------------------
+
+function setupShapeMenu() {
+  shapeMenu = new THREE.Group();
+  shapeMenu.visible = false;
+  scene.add(shapeMenu);
+
+  const dimMaterial = new THREE.MeshBasicMaterial({
+    color: 0xffffff,
+    wireframe: true,
+    transparent: true,
+    opacity: 0.3
+  });
+
+  // A row across the palm side of the forearm, just behind the wrist
+  // (wrist space: -y out of the palm, +z towards the elbow)
+  shapeMenuItems = SHAPE_KINDS.map((kind, i) => {
+    const mesh = new THREE.Mesh(shapeGeometries[kind], dimMaterial);
+    mesh.userData.dimMaterial = dimMaterial;
+    mesh.scale.setScalar(MENU_ITEM_SIZE);
+    mesh.position.set((i - (SHAPE_KINDS.length - 1) / 2) * 0.03, -0.02, 0.06);
+    shapeMenu.add(mesh);
+    return { kind, mesh };
+  });
+}
+
+/**
+ * Make `kind` the shape the next two-hand pinch spawns: the preview
+ * and the menu's highlighted icon switch to it.
+ */
+function selectShape(kind) {
+  selectedShape = kind;
+  tempCube.geometry = shapeGeometries[kind];
+
+  for (const { kind: itemKind, mesh } of shapeMenuItems) {
+    mesh.material = itemKind === kind ? boxMaterial : mesh.userData.dimMaterial;
+  }
+}
+
+// Follow the left wrist while its palm faces the head; the right index picks
+function updateShapeMenu() {
+  const wrist = handLeft?.joints?.['wrist'];
+  let visible = lHandTracked && Boolean(wrist) && !scalingOn;
+
+  if (visible) {
+    const palmNormal = new THREE.Vector3(0, -1, 0).applyQuaternion(wrist.quaternion);
+    const toHead = new THREE.Vector3().subVectors(camera.position, wrist.position).normalize();
+    visible = palmNormal.dot(toHead) > MENU_PALM_FACING;
+  }
+
+  shapeMenu.visible = visible;
+  if (!visible) return;
+
+  shapeMenu.position.copy(wrist.position);
+  shapeMenu.quaternion.copy(wrist.quaternion);
+  shapeMenu.updateMatrixWorld(true);
+
+  if (!rHandTracked) return;
+
+  const itemPosition = new THREE.Vector3();
+  for (const { kind, mesh } of shapeMenuItems) {
+    mesh.getWorldPosition(itemPosition);
+    if (kind !== selectedShape && itemPosition.distanceTo(rIndexObj.position) < MENU_TOUCH_DISTANCE) {
+      selectShape(kind);
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Grab and throw
+// -----------------------------------------------------------------------------
+
+/**
+ * Pinch point (thumb tip) and orientation (wrist) a held cube is attached to.
+ */
+function getGrabPose(side) {
+  const hand = side === 'left' ? handLeft : handRight;
+  const thumb = side === 'left' ? lThumbObj : rThumbObj;
+  const wrist = hand?.joints?.['wrist'];
+
+  return {
+    position: thumb.position.clone(),
+    quaternion: wrist ? wrist.quaternion.clone() : new THREE.Quaternion()
+  };
+}
+
+// Single-hand pinch on a cube → hold it; pinch released → throw it
+function handleGrabGesture(time) {
+  const tracked = { left: lHandTracked, right: rHandTracked };
+  const pinchOn = { left: lPinchOn, right: rPinchOn };
+
+  for (const side of ['left', 'right']) {
+    const grab = grabs[side];
+    const pinching = tracked[side] && pinchOn[side];
+
+    if (pinching && !grab.pinchOn && !grab.cube && !scalingOn) {
+      grabCube(side, time);
+    } else if (!pinching && grab.cube) {
+      releaseCube(side);
+    }
+    grab.pinchOn = pinching;
+  }
+}
+
+function grabCube(side, time) {
+  const pose = getGrabPose(side);
+  const held = [grabs.left.cube, grabs.right.cube];
+
+  // Closest cube whose shape (plus margin) contains the pinch point
+  let target = null;
+  let targetDistance = Infinity;
+  for (const cube of cubes) {
+    if (held.includes(cube)) continue;
+
+    const { mesh } = cube;
+    const local = pose.position.clone().sub(mesh.position).applyQuaternion(mesh.quaternion.clone().invert());
+    if (!containsPoint(cube.kind, cube.size, local, GRAB_MARGIN)) continue;
+
+    const distance = local.length();
+    if (distance < targetDistance) {
+      target = cube;
+      targetDistance = distance;
+    }
+  }
+  if (!target) return;
+
+  const { body } = target;
+  body.type = CANNON.Body.KINEMATIC;
+  body.velocity.setZero();
+  body.angularVelocity.setZero();
+
+  // Cube pose relative to the hand, kept while held
+  const inverseHand = pose.quaternion.clone().invert();
+  const grab = grabs[side];
+  grab.cube = target;
+  grab.localPosition = new THREE.Vector3()
+    .set(body.position.x, body.position.y, body.position.z)
+    .sub(pose.position)
+    .applyQuaternion(inverseHand);
+  grab.localQuaternion = inverseHand.multiply(
+    new THREE.Quaternion(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w)
+  );
+  grab.history = [{ time, ...pose }];
+}
+
+// Where a held cube goes for a given hand pose
+function getHeldCubePose(grab, handPose) {
+  return {
+    position: grab.localPosition.clone().applyQuaternion(handPose.quaternion).add(handPose.position),
+    quaternion: handPose.quaternion.clone().multiply(grab.localQuaternion)
+  };
+}
+
+/**
+ * Move held cubes with their hands, before the physics step. The body's
+ * velocity follows the hand too, so a held cube knocks others away. It
+ * comes from the last hand pose, as world.step has already moved the
+ * body on by the previous velocity.
+ */
+function updateHeldCubes(time) {
+  for (const side of ['left', 'right']) {
+    const grab = grabs[side];
+    if (!grab.cube) continue;
+
+    const { body } = grab.cube;
+    const pose = getGrabPose(side);
+    const { position, quaternion } = getHeldCubePose(grab, pose);
+
+    const last = grab.history[grab.history.length - 1];
+    const duration = time - last.time;
+    if (duration > 0) {
+      const previous = getHeldCubePose(grab, last);
+      const linear = position.clone().sub(previous.position).divideScalar(duration);
+      const angular = getAngularVelocity(previous.quaternion, quaternion, duration);
+      body.velocity.set(linear.x, linear.y, linear.z);
+      body.angularVelocity.set(angular.x, angular.y, angular.z);
+    }
+
+    body.position.set(position.x, position.y, position.z);
+    body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+
+    // Keep just enough samples to span THROW_HISTORY
+    grab.history.push({ time, ...pose });
+    while (grab.history.length > 2 && time - grab.history[1].time >= THROW_HISTORY) {
+      grab.history.shift();
+    }
+  }
+}
+
+/**
+ * Hand the cube back to the physics, moving the way the hand was: the
+ * pinch point's velocity plus the spin of the hand carrying the cube
+ * around it.
+ */
+function releaseCube(side) {
+  const grab = grabs[side];
+  const { body } = grab.cube;
+  const first = grab.history[0];
+  const last = grab.history[grab.history.length - 1];
+  const duration = last.time - first.time;
+
+  const linear = new THREE.Vector3();
+  const angular = new THREE.Vector3();
+  if (duration > 0) {
+    angular.copy(getAngularVelocity(first.quaternion, last.quaternion, duration));
+    const offset = grab.localPosition.clone().applyQuaternion(last.quaternion);
+    linear
+      .subVectors(last.position, first.position)
+      .divideScalar(duration)
+      .add(new THREE.Vector3().crossVectors(angular, offset));
+  }
+  linear.multiplyScalar(THROW_SCALE);
+  angular.multiplyScalar(THROW_SCALE);
+
+  body.type = CANNON.Body.DYNAMIC;
+  body.velocity.set(linear.x, linear.y, linear.z);
+  body.angularVelocity.set(angular.x, angular.y, angular.z);
+
+  grab.cube = null;
+  grab.history = [];
+}
+
+// Let go of held cubes where they are, without a throw
+function releaseAllCubes() {
+  for (const grab of Object.values(grabs)) {
+    if (!grab.cube) continue;
+
+    const { body } = grab.cube;
+    body.type = CANNON.Body.DYNAMIC;
+    body.velocity.setZero();
+    body.angularVelocity.setZero();
+
+    grab.cube = null;
+    grab.history = [];
+  }
+}
+
+// World-space angular velocity (rad/s) turning `from` into `to` over `duration` s
+function getAngularVelocity(from, to, duration) {
+  const delta = to.clone().multiply(from.clone().invert());
+  if (delta.w < 0) delta.set(-delta.x, -delta.y, -delta.z, -delta.w); // shortest way round
+
+  const sinHalf = Math.sqrt(delta.x * delta.x + delta.y * delta.y + delta.z * delta.z);
+  if (sinHalf < 1e-6) return new THREE.Vector3();
+
+  const angle = 2 * Math.atan2(sinHalf, delta.w);
+  return new THREE.Vector3(delta.x, delta.y, delta.z).multiplyScalar(angle / (sinHalf * duration));
+}
+
+// -----------------------------------------------------------------------------
+// Real-world surfaces
+// -----------------------------------------------------------------------------
+
+function setupSurfaces() {
+  surfaceGeometry = new THREE.BoxGeometry(1, 1, 1);
+  surfaceMaterial = new THREE.MeshBasicMaterial({
+    color: 0x40a0ff,
+    wireframe: true,
+    transparent: true,
+    opacity: 0.4
+  });
+}
+
+function onSessionStart() {
+  resumeSound();
+  restoreScene();
+  setupHitTestFallback(renderer.xr.getSession());
+}
+
+// Without plane detection, fall back to hit tests along the view direction
+function setupHitTestFallback(session) {
+  if (session.enabledFeatures?.includes('plane-detection') || !session.requestHitTestSource) return;
+
+  session
+    .requestReferenceSpace('viewer')
+    .then((space) => session.requestHitTestSource({ space }))
+    .then((source) => {
+      if (renderer.xr.getSession() === session) {
+        hitTestSource = source;
+      } else {
+        source.cancel();
+      }
+    })
+    .catch((error) => console.warn('No plane detection or hit test, only the floor collides:', error));
+}
+
+function onSessionEnd() {
+  releaseAllCubes();
+  saveScene();
+
+  hitTestSource?.cancel();
+  hitTestSource = null;
+
+  for (const surface of planeSurfaces.values()) removeSurface(surface);
+  planeSurfaces.clear();
+  for (const surface of hitSurfaces) removeSurface(surface);
+  hitSurfaces = [];
+}
+
+function createSurface() {
+  const shape = new CANNON.Box(new CANNON.Vec3(0.5, SURFACE_THICKNESS / 2, 0.5));
+  const body = new CANNON.Body({ mass: 0, shape, collisionFilterMask: WORLD_MASK });
+  world.addBody(body);
+
+  const mesh = new THREE.Mesh(surfaceGeometry, surfaceMaterial);
+  mesh.visible = SHOW_SURFACES;
+  scene.add(mesh);
+
+  return { body, shape, mesh, center: new THREE.Vector3(), lastChangedTime: null };
+}
+
+function removeSurface({ body, mesh }) {
+  world.removeBody(body);
+  scene.remove(mesh);
+}
+
+/**
+ * Size the box to `width` × `depth` (surface space x and z), centred at
+ * (centerX, centerZ) with its top face on the surface.
+ */
+function setSurfaceBounds(surface, width, depth, centerX, centerZ) {
+  const { shape, body, mesh } = surface;
+  shape.halfExtents.set(width / 2, SURFACE_THICKNESS / 2, depth / 2);
+  shape.updateConvexPolyhedronRepresentation();
+  body.updateBoundingRadius();
+  body.aabbNeedsUpdate = true;
+
+  mesh.scale.set(width, SURFACE_THICKNESS, depth);
+  surface.center.set(centerX, -SURFACE_THICKNESS / 2, centerZ);
+}
+
+// Place the box from the surface's pose (surface space → world)
+function setSurfacePose(surface, matrix) {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  matrix.decompose(position, quaternion, new THREE.Vector3());
+  position.add(surface.center.clone().applyQuaternion(quaternion));
+
+  surface.body.position.set(position.x, position.y, position.z);
+  surface.body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+  surface.body.aabbNeedsUpdate = true;
+
+  surface.mesh.position.copy(position);
+  surface.mesh.quaternion.copy(quaternion);
+}
+
+function updateSurfaces() {
+  const frame = renderer.xr.getFrame();
+  const referenceSpace = renderer.xr.getReferenceSpace();
+  if (!frame || !referenceSpace) return;
+
+  if (frame.detectedPlanes) {
+    updatePlaneSurfaces(frame, referenceSpace);
+  } else if (hitTestSource) {
+    updateHitSurfaces(frame, referenceSpace);
+  }
+}
+
+/**
+ * One box per detected plane, covering its polygon's bounds. Planes
+ * grow and move as the room is refined; dropped planes lose their box.
+ */
+function updatePlaneSurfaces(frame, referenceSpace) {
+  for (const plane of frame.detectedPlanes) {
+    const pose = frame.getPose(plane.planeSpace, referenceSpace);
+    if (!pose) continue;
+
+    let surface = planeSurfaces.get(plane);
+    if (!surface) {
+      surface = createSurface();
+      planeSurfaces.set(plane, surface);
+    }
+
+    // Polygon points are in plane space, on its y = 0 plane
+    if (surface.lastChangedTime !== plane.lastChangedTime && plane.polygon.length >= 3) {
+      const xs = plane.polygon.map((point) => point.x);
+      const zs = plane.polygon.map((point) => point.z);
+      const minX = Math.min(...xs);
+      const maxX = Math.max(...xs);
+      const minZ = Math.min(...zs);
+      const maxZ = Math.max(...zs);
+
+      setSurfaceBounds(surface, maxX - minX, maxZ - minZ, (minX + maxX) / 2, (minZ + maxZ) / 2);
+      surface.lastChangedTime = plane.lastChangedTime;
+    }
+
+    setSurfacePose(surface, new THREE.Matrix4().fromArray(pose.transform.matrix));
+  }
+
+  for (const [plane, surface] of planeSurfaces) {
+    if (!frame.detectedPlanes.has(plane)) {
+      removeSurface(surface);
+      planeSurfaces.delete(plane);
+    }
+  }
+}
+
+/**
+ * Where the view ray hits a surface not covered yet, lay a patch on it
+ * (hit poses have y along the surface normal). Past MAX_HIT_SURFACES
+ * the oldest patch goes.
+ */
+function updateHitSurfaces(frame, referenceSpace) {
+  const pose = frame.getHitTestResults(hitTestSource)[0]?.getPose(referenceSpace);
+  if (!pose) return;
+
+  const matrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
+  const point = new THREE.Vector3().setFromMatrixPosition(matrix);
+  const normal = new THREE.Vector3(0, 1, 0).transformDirection(matrix);
+
+  const covered = hitSurfaces.some((surface) => {
+    const offset = point.clone().sub(surface.mesh.position);
+    return (
+      surface.normal.dot(normal) > 0.9 &&
+      Math.abs(offset.dot(surface.normal) - SURFACE_THICKNESS / 2) < 0.03 &&
+      offset.projectOnPlane(surface.normal).length() < HIT_SURFACE_SIZE / 2
+    );
+  });
+  if (covered) return;
+
+  if (hitSurfaces.length >= MAX_HIT_SURFACES) removeSurface(hitSurfaces.shift());
+
+  const surface = createSurface();
+  surface.normal = normal;
+  setSurfaceBounds(surface, HIT_SURFACE_SIZE, HIT_SURFACE_SIZE, 0, 0);
+  setSurfacePose(surface, matrix);
+  hitSurfaces.push(surface);
+}
+
+// -----------------------------------------------------------------------------
+// Scene persistence
+// -----------------------------------------------------------------------------
+
+/**
+ * Plain-JSON snapshot of the cubes, oldest first: kind, size, pose,
+ * velocities (so a cube caught mid-flight carries on) and shader params.
+ */
+function serializeScene() {
+  return {
+    version: SCENE_VERSION,
+    cubes: cubes.map(({ kind, size, shader, body }) => ({
+      kind,
+      size,
+      position: body.position.toArray(),
+      quaternion: body.quaternion.toArray(),
+      velocity: body.velocity.toArray(),
+      angularVelocity: body.angularVelocity.toArray(),
+      shader: { ...shader }
+    }))
+  };
+}
+
+/**
+ * Replace the cubes with a serialized scene. Entries that don't look
+ * like a cube are skipped with a warning.
+ */
+function loadScene(data) {
+  if (data?.version !== SCENE_VERSION || !Array.isArray(data.cubes)) {
+    console.warn('Ignoring saved scene in an unknown format:', data);
+    return;
+  }
+
+  clearCubes();
+
+  for (const entry of data.cubes) {
+    if (!isValidCubeEntry(entry)) {
+      console.warn('Skipping invalid saved cube:', entry);
+      continue;
+    }
+
+    const { body } = addCube({
+      kind: entry.kind,
+      size: entry.size,
+      position: new THREE.Vector3(...entry.position),
+      quaternion: new THREE.Quaternion(...entry.quaternion).normalize(),
+      shader: { ...entry.shader }
+    });
+    body.velocity.set(...entry.velocity);
+    body.angularVelocity.set(...entry.angularVelocity);
+  }
+}
+
+function isValidCubeEntry(entry) {
+  const isVector = (value, length) =>
+    Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+
+  return (
+    SHAPE_KINDS.includes(entry?.kind) &&
+    Number.isFinite(entry.size) &&
+    entry.size >= MIN_CUBE_SIZE &&
+    isVector(entry.position, 3) &&
+    isVector(entry.quaternion, 4) &&
+    isVector(entry.velocity, 3) &&
+    isVector(entry.angularVelocity, 3) &&
+    typeof entry.shader === 'object' &&
+    entry.shader !== null
+  );
+}
+
+function saveScene() {
+  try {
+    localStorage.setItem(SCENE_STORAGE_KEY, JSON.stringify(serializeScene()));
+  } catch (error) {
+    console.warn('Could not save the scene:', error);
+  }
+}
+
+// Nothing saved (first visit, or cleared with a clap): keep the current cubes
+function restoreScene() {
+  let data;
+  try {
+    data = JSON.parse(localStorage.getItem(SCENE_STORAGE_KEY));
+  } catch (error) {
+    console.warn('Could not read the saved scene:', error);
+    return;
+  }
+  if (data) loadScene(data);
+}
+
+function forgetScene() {
+  try {
+    localStorage.removeItem(SCENE_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Could not clear the saved scene:', error);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Collision sounds
+// -----------------------------------------------------------------------------
+
+function setupSound() {
+  soundMuted = urlParams.get('sound') === 'off';
+  listener = new THREE.AudioListener();
+  listener.setMasterVolume(soundMuted ? 0 : 1);
+  camera.add(listener);
+}
+
+// Browsers only start audio after a user gesture (the XR button, a click)
+function resumeSound() {
+  if (listener.context.state === 'suspended') {
+    listener.context.resume().catch((error) => console.warn('Could not start audio:', error));
+  }
+}
+
+function setSoundMuted(muted) {
+  soundMuted = muted;
+  listener.setMasterVolume(muted ? 0 : 1);
+}
+
+// Thumb + pinky touch → toggle all sound
+function handleMuteGesture() {
+  const hands = { left: handLeft, right: handRight };
+  const tracked = { left: lHandTracked, right: rHandTracked };
+  const indexPinching = { left: lPinchOn, right: rPinchOn };
+
+  for (const side of ['left', 'right']) {
+    const thumb = hands[side]?.joints?.['thumb-tip'];
+    const pinky = hands[side]?.joints?.['pinky-finger-tip'];
+
+    const pinching =
+      tracked[side] &&
+      !indexPinching[side] &&
+      !presetPinchOn[side] && // the ring finger can come along
+      Boolean(thumb && pinky) &&
+      thumb.position.distanceTo(pinky.position) < MUTE_PINCH_DISTANCE;
+
+    if (pinching && !mutePinchOn[side]) {
+      setSoundMuted(!soundMuted);
+    }
+    mutePinchOn[side] = pinching;
+  }
+}
+
+/**
+ * Cannon reports each new contact once, from both bodies. The contact
+ * equation is pooled, so everything is read from it right away.
+ */
+function onCubeCollide(cube, { body: other, contact }) {
+  if (soundMuted || listener.context.state !== 'running') return;
+
+  // Cube on cube: only the one with the lower id plays
+  if (other.id < cube.body.id && cubes.some(({ body }) => body === other)) return;
+
+  const speed = Math.abs(contact.getImpactVelocityAlongNormal());
+  if (speed < MIN_IMPACT_SPEED) return;
+
+  const point = new THREE.Vector3(
+    contact.bi.position.x + contact.ri.x,
+    contact.bi.position.y + contact.ri.y,
+    contact.bi.position.z + contact.ri.z
+  );
+  playImpactSound(cube, point, speed);
+}
+
+/**
+ * Short bell-like tone at `point`: smaller cubes ring higher and shorter,
+ * harder hits louder. Rate limited per cube and overall, so jittering
+ * stacks don't buzz.
+ */
+function playImpactSound(cube, point, speed) {
+  const context = listener.context;
+  const now = context.currentTime;
+
+  if (now - cube.lastSoundTime < SOUND_COOLDOWN) return;
+  recentSoundTimes = recentSoundTimes.filter((time) => now - time < 1);
+  if (recentSoundTimes.length >= MAX_SOUNDS_PER_SECOND) return;
+  recentSoundTimes.push(now);
+  cube.lastSoundTime = now;
+
+  const frequency = THREE.MathUtils.clamp(40 / cube.size, 110, 1760);
+  const volume = THREE.MathUtils.clamp(
+    THREE.MathUtils.mapLinear(speed, MIN_IMPACT_SPEED, LOUD_IMPACT_SPEED, 0.05, 1),
+    0.05,
+    1
+  );
+  const duration = THREE.MathUtils.clamp(cube.size * 3, 0.12, 0.8);
+
+  const panner = new PannerNode(context, {
+    panningModel: 'HRTF',
+    distanceModel: 'inverse',
+    refDistance: 0.5,
+    positionX: point.x,
+    positionY: point.y,
+    positionZ: point.z
+  });
+  panner.connect(listener.getInput());
+
+  const envelope = context.createGain();
+  envelope.gain.setValueAtTime(volume * 0.5, now);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+  envelope.connect(panner);
+
+  // Fundamental plus an inharmonic overtone
+  const partials = [
+    { ratio: 1, level: 1 },
+    { ratio: 2.76, level: 0.3 }
+  ];
+  for (const { ratio, level } of partials) {
+    const oscillator = context.createOscillator();
+    oscillator.frequency.value = frequency * ratio;
+
+    const gain = context.createGain();
+    gain.gain.value = level;
+    oscillator.connect(gain).connect(envelope);
+
+    oscillator.start(now);
+    oscillator.stop(now + duration);
+  }
 
-  tempCube.scale.set(scaleValue, scaleValue, scaleValue);
+  setTimeout(() => panner.disconnect(), (duration + 0.1) * 1000);
 }
 
 // -----------------------------------------------------------------------------
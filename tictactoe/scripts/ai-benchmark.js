@@ -0,0 +1,137 @@
+// Headless self-play benchmark between two AI strategies.
+// Runs on GameState3D alone (no Three.js), so AI changes can be compared
+// with plain numbers:
+//
+//   npm run benchmark -- --a minimax --b heuristic --games 200
+//
+// Options (all optional):
+//   --a, --b            strategy names (see AIStrategies.js) or difficulty
+//                       levels (easy, medium, hard); default hard vs easy
+//   --games             number of games (default 1000); starts alternate
+//   --size              board size (default 3)
+//   --rules             classic | gravity
+//   --budget            time budget in ms for minimax / montecarlo moves
+//                       (difficulty levels keep their own)
+//   --depth             max depth for minimax
+//   --random-openings   random plies before the strategies take over (default 2),
+//                       so deterministic strategies don't replay the same game
+//
+// Wins are also split by side. 3×3×3 is a first-player win, and after the
+// random openings the side to move nearly always has a forced win that
+// even Easy finds, so expect ~50% there; 4×4×4 (--size 4 --games 40)
+// shows the difference between the levels.
+
+import { GameState3D, RULES, DIFFICULTY } from '../src/GameState3D.js';
+import { getStrategy, listStrategies } from '../src/AIStrategies.js';
+
+const args = parseArgs(process.argv.slice(2));
+
+const names = { a: args.a ?? DIFFICULTY.HARD, b: args.b ?? DIFFICULTY.EASY };
+const games = parseInt(args.games ?? '1000', 10);
+const size = parseInt(args.size ?? '3', 10);
+const rules = args.rules ?? RULES.CLASSIC;
+const randomOpenings = parseInt(args['random-openings'] ?? '2', 10);
+const levels = Object.values(DIFFICULTY);
+
+for (const name of Object.values(names)) {
+  if (!levels.includes(name) && !getStrategy(name)) {
+    const available = [...levels, ...listStrategies()].join(', ');
+    console.error(`Unknown strategy "${name}". Available: ${available}`);
+    process.exit(1);
+  }
+}
+
+const options = {};
+if (args.budget) options.timeBudgetMs = parseFloat(args.budget);
+if (args.depth) options.maxDepth = parseInt(args.depth, 10);
+
+// Per side A / B (both may run the same strategy)
+const stats = {
+  a: { wins: 0, winsAs: { O: 0, X: 0 }, moveTime: 0, moves: 0 },
+  b: { wins: 0, winsAs: { O: 0, X: 0 }, moveTime: 0, moves: 0 }
+};
+let draws = 0;
+
+const game = new GameState3D({ size });
+game.setRules(rules);
+
+for (let i = 0; i < games; i++) {
+  // a plays O in even games, X in odd ones; O always starts
+  const sides = i % 2 === 0 ? { O: 'a', X: 'b' } : { O: 'b', X: 'a' };
+  const strategyOf = { O: names[sides.O], X: names[sides.X] };
+
+  game.reset();
+  let player = 'O';
+
+  while (!game.isGameOver) {
+    let move;
+
+    if (game.history.length < randomOpenings) {
+      move = game.findBestMove(player, { strategy: 'random' });
+    } else {
+      const start = performance.now();
+      move = chooseMove(strategyOf[player], player);
+      const side = stats[sides[player]];
+      side.moveTime += performance.now() - start;
+      side.moves++;
+    }
+
+    if (!move || !game.makeMove(move.x, move.y, move.z, player).success) {
+      console.error(`Game ${i + 1}: ${strategyOf[player]} returned an illegal move`, move);
+      process.exit(1);
+    }
+    player = player === 'O' ? 'X' : 'O';
+  }
+
+  if (game.winner === 'draw') {
+    draws++;
+  } else {
+    stats[sides[game.winner]].wins++;
+    stats[sides[game.winner]].winsAs[game.winner]++;
+  }
+
+  if ((i + 1) % 100 === 0) {
+    process.stdout.write(`  ${i + 1}/${games} games\r`);
+  }
+}
+
+// -------------------------------------
+// Report
+// -------------------------------------
+const pct = (n, total = games) => `${((100 * n) / total).toFixed(1)}%`;
+const avgMs = ({ moveTime, moves }) => (moves ? (moveTime / moves).toFixed(2) : '-');
+
+// a plays O in the even games: ceil(games / 2) of them
+const gamesAs = { a: { O: Math.ceil(games / 2), X: Math.floor(games / 2) } };
+gamesAs.b = { O: gamesAs.a.X, X: gamesAs.a.O };
+
+const report = (side) => {
+  const { wins, winsAs } = stats[side];
+  const split = `(as O ${pct(winsAs.O, gamesAs[side].O)}, as X ${pct(winsAs.X, gamesAs[side].X)})`;
+  return `wins ${pct(wins).padStart(6)} ${split.padEnd(26)} avg move ${avgMs(stats[side])} ms`;
+};
+
+console.log(`\n${games} games on ${size}×${size}×${size}, ${rules} rules, ${randomOpenings} random opening plies`);
+console.log(`  A ${names.a.padEnd(12)} ${report('a')}`);
+console.log(`  B ${names.b.padEnd(12)} ${report('b')}`);
+console.log(`  draws          ${pct(draws).padStart(6)}`);
+
+// Difficulty levels play with their own settings, strategies with the options
+function chooseMove(name, player) {
+  if (levels.includes(name)) {
+    game.setDifficulty(name);
+    return game.findBestMove(player);
+  }
+  return game.findBestMove(player, { strategy: name, ...options });
+}
+
+function parseArgs(argv) {
+  const parsed = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      parsed[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return parsed;
+}
@@ -0,0 +1,95 @@
+// Headless check that the Hard AI plays known forks: positions where one
+// move leaves two lines a piece short, which a single reply can't both
+// block. Exits with status 1 if Hard picks anything else.
+//
+//   npm run fork-check
+//
+// Each position is first checked to really be a fork (the only move that
+// wins within two moves), so a broken position can't pass as an AI bug.
+
+import { GameState3D, DIFFICULTY, RULES } from '../src/GameState3D.js';
+
+const POSITIONS = [
+  {
+    name: '4×4×4, two rows meeting in a corner',
+    size: 4,
+    pieces: {
+      O: [[1, 0, 0], [2, 0, 0], [0, 1, 0], [0, 2, 0]],
+      X: [[3, 3, 3], [1, 3, 3], [3, 1, 3], [3, 3, 1]]
+    },
+    fork: [0, 0, 0]
+  },
+  {
+    // Easy goes for (3,0,3) instead
+    name: '4×4×4 midgame, O to move',
+    size: 4,
+    pieces: {
+      O: [[3, 3, 1], [3, 1, 3], [2, 2, 2], [2, 1, 1], [1, 1, 1], [1, 1, 2], [3, 3, 3]],
+      X: [[1, 3, 1], [2, 1, 2], [2, 1, 0], [1, 2, 1], [2, 2, 1], [1, 2, 2], [0, 0, 0]]
+    },
+    fork: [3, 3, 2]
+  },
+  {
+    // Easy goes for (0,0,0) instead
+    name: '4×4×4 midgame, X to move',
+    size: 4,
+    toMove: 'X',
+    pieces: {
+      O: [[1, 3, 2], [3, 0, 0], [2, 3, 3], [1, 2, 2], [2, 1, 1], [2, 2, 1], [1, 1, 1], [1, 0, 3], [1, 2, 1]],
+      X: [[1, 0, 1], [0, 0, 3], [2, 0, 3], [1, 1, 2], [0, 3, 3], [2, 2, 2], [3, 0, 3], [2, 1, 2]]
+    },
+    fork: [2, 0, 2]
+  },
+  {
+    name: '4×4×4 gravity, two rows on the floor',
+    size: 4,
+    rules: RULES.GRAVITY,
+    pieces: {
+      O: [[1, 0, 0], [2, 0, 0], [0, 0, 1], [0, 0, 2]],
+      X: [[3, 0, 3], [2, 0, 3], [3, 0, 2], [1, 0, 1]]
+    },
+    fork: [0, 0, 0]
+  }
+];
+
+let failures = 0;
+
+for (const { name, size, rules = RULES.CLASSIC, toMove = 'O', pieces, fork } of POSITIONS) {
+  const game = new GameState3D({ size });
+  game.setRules(rules);
+  game.loadPosition(pieces, toMove);
+
+  const wins = game.getWinningMoves(toMove, 2).map(({ x, y, z }) => [x, y, z]);
+  if (wins.length !== 1 || !sameCell(wins[0], fork)) {
+    console.error(`✗ ${name}: not a unique fork, winning moves ${format(wins)}`);
+    failures++;
+    continue;
+  }
+
+  const picks = {};
+  for (const level of [DIFFICULTY.HARD, DIFFICULTY.EASY]) {
+    game.setDifficulty(level);
+    const { x, y, z } = game.findBestMove(toMove);
+    picks[level] = [x, y, z];
+  }
+
+  const ok = sameCell(picks[DIFFICULTY.HARD], fork);
+  if (!ok) failures++;
+  console.log(
+    `${ok ? '✓' : '✗'} ${name}: fork ${format([fork])}, ` +
+      `hard ${format([picks[DIFFICULTY.HARD]])}, easy ${format([picks[DIFFICULTY.EASY]])}`
+  );
+}
+
+if (failures > 0) {
+  console.error(`${failures} of ${POSITIONS.length} fork positions failed`);
+  process.exit(1);
+}
+
+function sameCell(a, b) {
+  return a.every((v, i) => v === b[i]);
+}
+
+function format(cells) {
+  return cells.length ? cells.map((c) => `(${c.join(',')})`).join(' ') : 'none';
+}
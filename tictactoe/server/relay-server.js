@@ -0,0 +1,236 @@
+// Minimal WebSocket relay for online 3D Tic-Tac-Toe.
+//
+//   npm run server            (PORT=8787 by default)
+//
+// Each room holds two players and its own GameState3D, so the server is the
+// authority on turn order, move legality and the end-game state. Clients only
+// apply moves after the server has accepted and broadcast them.
+//
+// Client → server
+//   { type: 'join', room, size }
+//   { type: 'move', x, y, z }
+//   { type: 'resign' }
+//   { type: 'rematch' }
+//
+// Server → client
+//   { type: 'joined', room, player, size }        your mark: 'O' | 'X'
+//   { type: 'start', startingPlayer }             both players present / rematch agreed
+//   { type: 'move', x, y, z, player }             accepted move, apply it
+//   { type: 'gameOver', winner, reason, winningLine }
+//   { type: 'rematch', player }                   that player asked for a rematch
+//   { type: 'opponentLeft' }
+//   { type: 'error', message }
+
+import { WebSocketServer } from 'ws';
+
+import { GameState3D, GRID_SIZE, MIN_GRID_SIZE, MAX_GRID_SIZE } from '../src/GameState3D.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const MARKS = ['O', 'X'];
+
+const rooms = new Map(); // room id -> { size, players: Map<mark, ws>, game, rematchVotes }
+
+const wss = new WebSocketServer({ port: PORT });
+
+wss.on('connection', (ws) => {
+  ws.roomId = null;
+  ws.mark = null;
+
+  ws.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      send(ws, { type: 'error', message: 'Invalid JSON' });
+      return;
+    }
+
+    if (typeof message !== 'object' || message === null || Array.isArray(message)) {
+      send(ws, { type: 'error', message: 'Messages must be JSON objects' });
+      return;
+    }
+
+    // A bad message must only cost its sender, never the relay
+    try {
+      handleMessage(ws, message);
+    } catch (error) {
+      console.error('Failed to handle message', message, error);
+      send(ws, { type: 'error', message: 'Could not handle message' });
+    }
+  });
+
+  ws.on('close', () => handleLeave(ws));
+});
+
+console.log(`Tic-Tac-Toe relay listening on ws://localhost:${PORT}`);
+
+// -----------------------------------------------------------------------------
+// Handlers
+// -----------------------------------------------------------------------------
+
+function handleMessage(ws, message) {
+  switch (message.type) {
+    case 'join':
+      handleJoin(ws, message);
+      break;
+    case 'move':
+      handleMove(ws, message);
+      break;
+    case 'resign':
+      handleResign(ws);
+      break;
+    case 'rematch':
+      handleRematch(ws);
+      break;
+    default:
+      send(ws, { type: 'error', message: `Unknown message type "${message.type}"` });
+  }
+}
+
+function handleJoin(ws, { room: roomId, size = GRID_SIZE }) {
+  if (ws.roomId) {
+    send(ws, { type: 'error', message: 'Already in a room' });
+    return;
+  }
+  if (typeof roomId !== 'string' || roomId.length === 0) {
+    send(ws, { type: 'error', message: 'Missing room id' });
+    return;
+  }
+  if (!Number.isInteger(size) || size < MIN_GRID_SIZE || size > MAX_GRID_SIZE) {
+    send(ws, { type: 'error', message: `Board size must be ${MIN_GRID_SIZE} to ${MAX_GRID_SIZE}` });
+    return;
+  }
+
+  let room = rooms.get(roomId);
+  if (!room) {
+    room = {
+      size,
+      players: new Map(),
+      game: new GameState3D({ size }),
+      rematchVotes: new Set()
+    };
+    rooms.set(roomId, room);
+  }
+
+  if (room.size !== size) {
+    send(ws, { type: 'error', message: `Room "${roomId}" plays a ${room.size}×${room.size}×${room.size} board` });
+    return;
+  }
+
+  const mark = MARKS.find((m) => !room.players.has(m));
+  if (!mark) {
+    send(ws, { type: 'error', message: `Room "${roomId}" is full` });
+    return;
+  }
+
+  room.players.set(mark, ws);
+  ws.roomId = roomId;
+  ws.mark = mark;
+
+  send(ws, { type: 'joined', room: roomId, player: mark, size: room.size });
+
+  if (room.players.size === MARKS.length) {
+    startGame(room, room.game.startingPlayer);
+  }
+}
+
+function handleMove(ws, { x, y, z }) {
+  const room = rooms.get(ws.roomId);
+  if (!room || room.players.size < MARKS.length) {
+    send(ws, { type: 'error', message: 'Game has not started' });
+    return;
+  }
+
+  const { game } = room;
+  if (game.getCurrentPlayer() !== ws.mark) {
+    send(ws, { type: 'error', message: 'Not your turn' });
+    return;
+  }
+
+  const inRange = (v) => Number.isInteger(v) && v >= 0 && v < game.size;
+  if (![x, y, z].every(inRange)) {
+    send(ws, { type: 'error', message: 'Move out of range' });
+    return;
+  }
+
+  const result = game.makeMove(x, y, z, ws.mark);
+  if (!result.success) {
+    send(ws, { type: 'error', message: 'Illegal move' });
+    return;
+  }
+
+  broadcast(room, { type: 'move', x, y, z, player: ws.mark });
+
+  if (game.isGameOver) {
+    broadcast(room, {
+      type: 'gameOver',
+      winner: game.winner,
+      reason: game.winner === 'draw' ? 'draw' : 'line',
+      winningLine: game.getWinningLine()
+    });
+  }
+}
+
+function handleResign(ws) {
+  const room = rooms.get(ws.roomId);
+  if (!room) return;
+
+  const winner = room.game.resign(ws.mark);
+  if (!winner) return;
+
+  broadcast(room, { type: 'gameOver', winner, reason: 'resign', winningLine: null });
+}
+
+function handleRematch(ws) {
+  const room = rooms.get(ws.roomId);
+  if (!room || !room.game.isGameOver) return;
+
+  room.rematchVotes.add(ws.mark);
+  broadcast(room, { type: 'rematch', player: ws.mark });
+
+  if (room.rematchVotes.size === MARKS.length) {
+    // Alternate who starts
+    const nextStarter = room.game.startingPlayer === 'O' ? 'X' : 'O';
+    startGame(room, nextStarter);
+  }
+}
+
+function handleLeave(ws) {
+  const room = rooms.get(ws.roomId);
+  if (!room) return;
+
+  room.players.delete(ws.mark);
+
+  if (room.players.size === 0) {
+    rooms.delete(ws.roomId);
+    return;
+  }
+
+  // Remaining player waits for a new opponent and a fresh game
+  room.game.reset();
+  room.rematchVotes.clear();
+  broadcast(room, { type: 'opponentLeft' });
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function startGame(room, startingPlayer) {
+  room.game.reset();
+  room.game.startingPlayer = startingPlayer;
+  room.rematchVotes.clear();
+  broadcast(room, { type: 'start', startingPlayer });
+}
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+function broadcast(room, message) {
+  for (const ws of room.players.values()) {
+    send(ws, message);
+  }
+}
@@ -0,0 +1,121 @@
+// Pluggable AI strategies for GameState3D.findBestMove.
+//
+// A strategy is a function (gameState, player, options) → { x, y, z } | null
+// that must leave the board as it found it. Pure JS (no Three.js), so the
+// relay server and scripts/ai-benchmark.js can use it from Node.
+
+const strategies = new Map();
+
+/**
+ * Register (or replace) a strategy under `name`.
+ */
+export function registerStrategy(name, chooseMove) {
+  strategies.set(name, chooseMove);
+}
+
+export function getStrategy(name) {
+  return strategies.get(name) ?? null;
+}
+
+export function listStrategies() {
+  return [...strategies.keys()];
+}
+
+// ---------------------------------------------------------------------------
+// Built-in strategies
+// ---------------------------------------------------------------------------
+
+// One-ply greedy scan over evaluatePosition (the Easy opponent)
+registerStrategy('heuristic', (gameState, player) => gameState.findHeuristicMove(player));
+
+// Negamax + alpha-beta with iterative deepening and a transposition
+// table (Medium / Hard); known openings come from the book
+registerStrategy(
+  'minimax',
+  (gameState, player, { maxDepth = 7, timeBudgetMs = 400, useBook = true } = {}) =>
+    (useBook && gameState.getBookMove(player)) ||
+    gameState.findSearchMove(player, { maxDepth, timeBudgetMs })
+);
+
+// Any legal move, for baselines
+registerStrategy('random', (gameState) => pickRandom(gameState.getLegalMoves()));
+
+// Random playouts from every legal move, best average result wins
+registerStrategy('montecarlo', (gameState, player, { timeBudgetMs = 200, maxPlayouts = 5000 } = {}) => {
+  const moves = gameState.getLegalMoves();
+  if (moves.length === 0) return null;
+
+  const opponent = player === 'X' ? 'O' : 'X';
+
+  // Take a win, or stop the opponent's, without sampling
+  for (const p of [player, opponent]) {
+    const urgent = moves.find((m) => completesWith(gameState, m, p));
+    if (urgent) return urgent;
+  }
+
+  const stats = moves.map((move) => ({ move, score: 0, playouts: 0 }));
+  const deadline = performance.now() + timeBudgetMs;
+  let total = 0;
+
+  while (total < maxPlayouts && performance.now() < deadline) {
+    const entry = stats[total % stats.length];
+    const { x, y, z } = entry.move;
+
+    gameState.grid[x][y][z] = player;
+    const winner = randomPlayout(gameState, opponent);
+    gameState.grid[x][y][z] = null;
+
+    entry.score += winner === player ? 1 : winner === 'draw' ? 0.5 : 0;
+    entry.playouts++;
+    total++;
+  }
+
+  let best = stats[0];
+  for (const entry of stats) {
+    if (entry.score / (entry.playouts || 1) > best.score / (best.playouts || 1)) {
+      best = entry;
+    }
+  }
+  return best.move;
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function pickRandom(items) {
+  return items.length ? items[Math.floor(Math.random() * items.length)] : null;
+}
+
+function completesWith(gameState, { x, y, z }, player) {
+  gameState.grid[x][y][z] = player;
+  const wins = gameState.completesLine(x, y, z, player);
+  gameState.grid[x][y][z] = null;
+  return wins;
+}
+
+// Play random moves until someone wins or the board is full, then undo them
+function randomPlayout(gameState, toMove) {
+  const placed = [];
+  let player = toMove;
+  let winner = 'draw';
+
+  for (;;) {
+    const move = pickRandom(gameState.getLegalMoves());
+    if (!move) break;
+
+    gameState.grid[move.x][move.y][move.z] = player;
+    placed.push(move);
+
+    if (gameState.completesLine(move.x, move.y, move.z, player)) {
+      winner = player;
+      break;
+    }
+    player = player === 'X' ? 'O' : 'X';
+  }
+
+  for (const { x, y, z } of placed) {
+    gameState.grid[x][y][z] = null;
+  }
+  return winner;
+}
@@ -2,15 +2,41 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import gsap from 'gsap';
 
+import { GRID_SIZE } from './GameState3D.js';
+
 const SPHERE_RADIUS = 0.05;
 const PICK_THRESHOLD = 0.05;
 
+// Half-size of the grid in model units (tictactoe.glb spans -1..1)
+const GRID_EXTENT = 1.0;
+
+// Extra distance between layers when the board is exploded (in cell spacings)
+const EXPLODE_GAP = 1.0;
+
+// Threat halos: the player's piece color, white when both threaten the cell
+const THREAT_COLORS = {
+  O: 0xff9737,
+  X: 0x60aeff,
+  both: 0xffffff
+};
+
+// Heatmap overlay colors (weak → strong, plus flagged cells)
+export const HEATMAP_COLORS = {
+  low: 0x3a6bff,
+  high: 0xff5a36,
+  win: 0x4dff7a,
+  block: 0xffd700
+};
+
 export class BoardView {
   constructor(
     scene,
-    { orangeMaterial, lightBlueMaterial, xModelTemplate, oModelTemplate }
+    { orangeMaterial, lightBlueMaterial, xModelTemplate, oModelTemplate, gridSize = GRID_SIZE }
   ) {
     this.scene = scene;
+    this.gridSize = gridSize;
+    // Model-space distance between neighbouring cells; pieces scale with it
+    this.cellSpacing = (2 * GRID_EXTENT) / (gridSize - 1);
     this.orangeMaterial = orangeMaterial;
     this.lightBlueMaterial = lightBlueMaterial;
     this.xModelTemplate = xModelTemplate;
@@ -23,7 +49,18 @@ export class BoardView {
     this.spherePositions = new Map(); // uuid -> { x, y, z }
     this.usedSpheres = new Map();     // uuid -> 'O' | 'X'
     this.activePieces = new Set();    // spawned X/O roots
-    this.winLine = null;
+    this.piecesByCell = new Map();    // 'x,y,z' -> spawned X/O root
+    this.winLines = [];               // one cylinder per completed line
+    this.heatmapSpheres = new Set();  // spheres currently tinted by the heatmap
+    this.hoverMarker = null;          // halo + ghost pieces, built on first hover
+    this.hoverSphere = null;
+    this.hoverPlayer = null;
+    this.threatMarkers = new Map();   // 'x,y,z' -> pulsing halo on a cell one move from winning
+
+    // Layer-exploded view: layers along grid x spread apart along the grid's local Z
+    this.spheresByCell = new Map();   // 'x,y,z' -> Sphere_ mesh
+    this.explode = { amount: 0 };     // 0 = packed, 1 = fully exploded
+    this.isExploded = false;
 
     this.scene.add(this.baseComposition);
   }
@@ -70,6 +107,13 @@ export class BoardView {
           // Create interaction spheres at Dot_* positions
           this._createSpheresFromDots(this.baseGrid);
 
+          const expected = this.gridSize ** 3;
+          if (this.spherePositions.size !== expected) {
+            console.warn(
+              `BoardView.loadGridModel: ${url} has ${this.spherePositions.size} Dot_ targets, expected ${expected}.`
+            );
+          }
+
           resolve(this.baseGrid);
         },
         undefined,
@@ -94,31 +138,88 @@ export class BoardView {
     });
   }
 
-  _createSpheresFromDots(root) {
-    root.traverse((child) => {
-      if (child.isMesh && child.name && child.name.startsWith('Dot_')) {
-        const sphereGeometry = new THREE.SphereGeometry(SPHERE_RADIUS, 16, 16);
-        const sphereMaterial = new THREE.MeshBasicMaterial({
-          color: 0xffffff,
-          transparent: true,
-          opacity: 0.8
-        });
+  /**
+   * Build an N×N×N grid of Dot_ markers in code, for board sizes that don't
+   * ship a GLB. Uses the same layout as tictactoe.glb (x → -Z, y → +Y, z → -X)
+   * and the same overall extent, so the board keeps its size as N grows.
+   */
+  createProceduralGrid() {
+    const n = this.gridSize;
+    const c = (n - 1) / 2;
+
+    this.baseGrid = new THREE.Group();
+    this.baseGrid.name = `ProceduralGrid_${n}`;
+    this.baseGrid.scale.set(0.11, 0.11, 0.11);
+    this.baseGrid.position.set(0, -0.21, 0);
+    this.baseGrid.rotation.set(0, 0, 0);
+
+    for (let x = 0; x < n; x++) {
+      for (let y = 0; y < n; y++) {
+        for (let z = 0; z < n; z++) {
+          const dot = new THREE.Object3D();
+          dot.name = `Dot_${x}_${y}_${z}`;
+          dot.position.set(
+            (c - z) * this.cellSpacing,
+            (y - c) * this.cellSpacing,
+            (c - x) * this.cellSpacing
+          );
+          this.baseGrid.add(dot);
+        }
+      }
+    }
 
-        const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
-        sphere.name = child.name.replace('Dot_', 'Sphere_');
-        sphere.position.copy(child.position);
+    this.baseComposition.add(this.baseGrid);
+    this._createSpheresFromDots(this.baseGrid);
 
-        child.parent.add(sphere);
+    return this.baseGrid;
+  }
 
-        const coords = child.name.split('_')[1];
-        if (coords && coords.length === 3) {
-          const x = parseInt(coords[0], 10);
-          const y = parseInt(coords[1], 10);
-          const z = parseInt(coords[2], 10);
-          this.spherePositions.set(sphere.uuid, { x, y, z });
-        }
+  /**
+   * Grid coords from a Dot_ name: "Dot_xyz" (single digits, as in
+   * tictactoe.glb) or "Dot_x_y_z" for larger boards.
+   */
+  _parseDotCoords(name) {
+    const parts = name.split('_').slice(1);
+    const digits = parts.length === 1 ? parts[0].split('') : parts;
+    if (digits.length !== 3) return null;
+
+    const [x, y, z] = digits.map((d) => parseInt(d, 10));
+    if ([x, y, z].some((v) => Number.isNaN(v))) return null;
+    return { x, y, z };
+  }
+
+  _createSpheresFromDots(root) {
+    const dots = [];
+    root.traverse((child) => {
+      if (child.name && child.name.startsWith('Dot_')) {
+        dots.push(child);
       }
     });
+
+    for (const child of dots) {
+      const coords = this._parseDotCoords(child.name);
+      if (!coords) continue;
+
+      const sphereGeometry = new THREE.SphereGeometry(
+        SPHERE_RADIUS * this.cellSpacing,
+        16,
+        16
+      );
+      const sphereMaterial = new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.8
+      });
+
+      const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
+      sphere.name = child.name.replace('Dot_', 'Sphere_');
+      sphere.position.copy(child.position);
+
+      child.parent.add(sphere);
+      sphere.userData.restPosition = sphere.position.clone();
+      this.spherePositions.set(sphere.uuid, coords);
+      this.spheresByCell.set(`${coords.x},${coords.y},${coords.z}`, sphere);
+    }
   }
 
   // ---------------------------------------------------------------------------
@@ -193,6 +294,70 @@ export class BoardView {
     return !this.usedSpheres.has(sphereUUID);
   }
 
+  // ---------------------------------------------------------------------------
+  // Placing / removing pieces by grid coords
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Spawn `player`'s piece on the sphere at (x,y,z) and mark it used.
+   * With `dropFrom` (grid coords, gravity rules) the piece appears there
+   * and falls into place.
+   * Returns the piece root, or null if the cell is missing or taken.
+   */
+  placePiece(x, y, z, player, { dropFrom = null } = {}) {
+    const sphere = this.findSphereByGridPos(x, y, z);
+    if (!sphere || !this.isSphereFree(sphere.uuid)) return null;
+
+    const worldPos = new THREE.Vector3();
+    sphere.getWorldPosition(worldPos);
+    const localPos = this.worldToLocalOnGrid(worldPos);
+
+    const startSphere = dropFrom && this.findSphereByGridPos(dropFrom.x, dropFrom.y, dropFrom.z);
+    const spawnPos = startSphere
+      ? this.worldToLocalOnGrid(startSphere.getWorldPosition(new THREE.Vector3()))
+      : localPos;
+
+    const piece = player === 'O' ? this.spawnO(spawnPos) : this.spawnX(spawnPos);
+
+    if (startSphere && startSphere !== sphere) {
+      // Fall time grows with the drop height, like a real fall
+      const cells = spawnPos.distanceTo(localPos) / this.cellSpacing;
+      gsap.to(piece.position, {
+        x: localPos.x,
+        y: localPos.y,
+        z: localPos.z,
+        duration: 0.25 * Math.sqrt(cells),
+        ease: 'bounce.out'
+      });
+    }
+
+    sphere.visible = false;
+    piece.userData.cell = { x, y, z };
+    this.markSphereUsed(sphere.uuid, player);
+    this.piecesByCell.set(`${x},${y},${z}`, piece);
+
+    return piece;
+  }
+
+  /**
+   * Animate out the piece at (x,y,z) and make its sphere selectable again.
+   */
+  removePiece(x, y, z) {
+    const key = `${x},${y},${z}`;
+    const piece = this.piecesByCell.get(key);
+    if (piece) {
+      this.piecesByCell.delete(key);
+      this.activePieces.delete(piece);
+      this._animatePieceOut(piece);
+    }
+
+    const sphere = this.findSphereByGridPos(x, y, z);
+    if (sphere) {
+      sphere.visible = true;
+      this.usedSpheres.delete(sphere.uuid);
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // Piece spawning (X / O)
   // ---------------------------------------------------------------------------
@@ -219,10 +384,11 @@ export class BoardView {
 
     // Spawn animation
     root.scale.set(0.01, 0.01, 0.01);
+    const size = 0.9 * this.cellSpacing;
     gsap.to(root.scale, {
-      x: 0.9,
-      y: 0.9,
-      z: 0.9,
+      x: size,
+      y: size,
+      z: size,
       duration: 0.3,
       ease: 'back.out'
     });
@@ -256,10 +422,11 @@ export class BoardView {
 
     // Spawn animation
     root.scale.set(0.01, 0.01, 0.01);
+    const size = 1.0 * this.cellSpacing;
     gsap.to(root.scale, {
-      x: 1.0,
-      y: 1.0,
-      z: 1.0,
+      x: size,
+      y: size,
+      z: size,
       duration: 0.3,
       ease: 'back.out'
     });
@@ -269,10 +436,20 @@ export class BoardView {
 
 
   // ---------------------------------------------------------------------------
-  // Winning line
+  // Winning lines
   // ---------------------------------------------------------------------------
 
-  showWinningLine(startGrid, endGrid, material) {
+  /**
+   * Draw every completed line: `lines` = [{ start, end }] in grid coords
+   * (GameState3D.getWinningLines), or a single { start, end }.
+   */
+  showWinningLine(lines, material) {
+    for (const { start, end } of [].concat(lines)) {
+      this._addWinningLine(start, end, material);
+    }
+  }
+
+  _addWinningLine(startGrid, endGrid, material) {
     if (!this.baseGrid) return;
 
     const startSphere = this.findSphereByGridPos(
@@ -314,6 +491,8 @@ export class BoardView {
 
     const cylinder = new THREE.Mesh(geometry, lineMaterial);
     cylinder.position.copy(midPoint);
+    // Kept so the line can follow its end spheres when the layers move
+    cylinder.userData.ends = { startSphere, endSphere, length: distance };
 
     const dir = new THREE.Vector3().subVectors(endLocal, startLocal).normalize();
     const up = new THREE.Vector3(0, 1, 0);
@@ -321,7 +500,7 @@ export class BoardView {
     cylinder.quaternion.copy(quat);
 
     this.baseGrid.add(cylinder);
-    this.winLine = cylinder;
+    this.winLines.push(cylinder);
 
     gsap.from(cylinder.scale, {
       y: 0,
@@ -330,43 +509,316 @@ export class BoardView {
     });
   }
 
+  // Re-fit the winning lines between their end spheres
+  _updateWinningLines() {
+    for (const winLine of this.winLines) {
+      const { startSphere, endSphere, length } = winLine.userData.ends;
+      const startLocal = this.worldToLocalOnGrid(startSphere.getWorldPosition(new THREE.Vector3()));
+      const endLocal = this.worldToLocalOnGrid(endSphere.getWorldPosition(new THREE.Vector3()));
+
+      const dir = new THREE.Vector3().subVectors(endLocal, startLocal);
+      gsap.killTweensOf(winLine.scale);
+      winLine.position.addVectors(startLocal, endLocal).multiplyScalar(0.5);
+      winLine.scale.y = dir.length() / length;
+      winLine.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir.normalize());
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Layer-exploded view
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Spread the layers apart (or pack them back) so inner cells are easy
+   * to see and reach. Spheres, pieces and the winning line move along,
+   * so findNearestSphere keeps working.
+   */
+  setExploded(exploded) {
+    if (!this.baseGrid || exploded === this.isExploded) return;
+    this.isExploded = exploded;
+
+    gsap.to(this.explode, {
+      amount: exploded ? 1 : 0,
+      duration: 0.5,
+      ease: 'power2.inOut',
+      overwrite: true,
+      onUpdate: () => this._applyExplode()
+    });
+  }
+
+  toggleExploded() {
+    this.setExploded(!this.isExploded);
+  }
+
+  // Offset of layer x in grid-local units
+  _layerOffset(x) {
+    const c = (this.gridSize - 1) / 2;
+    return (c - x) * EXPLODE_GAP * this.cellSpacing * this.explode.amount;
+  }
+
+  _applyExplode() {
+    this.baseGrid.updateMatrixWorld(true);
+
+    // Spheres live under the model's own nodes: express the grid's Z axis in their parent space
+    const origin = new THREE.Vector3();
+    const axis = new THREE.Vector3();
+
+    for (const [key, sphere] of this.spheresByCell) {
+      const x = parseInt(key, 10);
+
+      origin.set(0, 0, 0);
+      axis.set(0, 0, this._layerOffset(x));
+      this.baseGrid.localToWorld(origin);
+      this.baseGrid.localToWorld(axis);
+      sphere.parent.worldToLocal(origin);
+      sphere.parent.worldToLocal(axis);
+
+      sphere.position.copy(sphere.userData.restPosition).add(axis.sub(origin));
+    }
+
+    // Pieces and threat halos sit directly under baseGrid, on top of their sphere
+    for (const object of [...this.piecesByCell.values(), ...this.threatMarkers.values()]) {
+      const { x, y, z } = object.userData.cell;
+      const sphere = this.spheresByCell.get(`${x},${y},${z}`);
+      if (!sphere) continue;
+      object.position.copy(this.worldToLocalOnGrid(sphere.getWorldPosition(new THREE.Vector3())));
+    }
+
+    this._updateWinningLines();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Hover preview
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Highlight the sphere a pinch-release would pick, with a ghost of
+   * `player`'s piece on it. Pass null to clear.
+   */
+  setHoverSphere(sphere, player = 'O') {
+    if (!this.baseGrid) return;
+
+    const marker = this._getHoverMarker();
+
+    if (!sphere) {
+      marker.visible = false;
+      this.hoverSphere = null;
+      return;
+    }
+
+    const worldPos = new THREE.Vector3();
+    sphere.getWorldPosition(worldPos);
+    marker.position.copy(this.worldToLocalOnGrid(worldPos));
+    marker.visible = true;
+
+    if (sphere === this.hoverSphere && player === this.hoverPlayer) return;
+    this.hoverSphere = sphere;
+    this.hoverPlayer = player;
+
+    const { ghostO, ghostX } = marker.userData;
+    if (ghostO) ghostO.visible = player === 'O';
+    if (ghostX) ghostX.visible = player === 'X';
+
+    // Small pop each time the target changes
+    gsap.fromTo(
+      marker.scale,
+      { x: 0.6, y: 0.6, z: 0.6 },
+      { x: 1, y: 1, z: 1, duration: 0.15, ease: 'back.out', overwrite: true }
+    );
+  }
+
+  _getHoverMarker() {
+    if (this.hoverMarker) return this.hoverMarker;
+
+    const marker = new THREE.Group();
+    marker.name = 'HoverMarker';
+    marker.visible = false;
+
+    const halo = new THREE.Mesh(
+      new THREE.SphereGeometry(SPHERE_RADIUS * this.cellSpacing * 1.8, 16, 16),
+      new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.25,
+        depthWrite: false
+      })
+    );
+    marker.add(halo);
+
+    marker.userData.ghostO = this._createGhost(
+      this.oModelTemplate,
+      this.orangeMaterial,
+      0.9 * this.cellSpacing
+    );
+    marker.userData.ghostX = this._createGhost(
+      this.xModelTemplate,
+      this.lightBlueMaterial,
+      1.0 * this.cellSpacing
+    );
+    for (const ghost of [marker.userData.ghostO, marker.userData.ghostX]) {
+      if (ghost) marker.add(ghost);
+    }
+
+    this.baseGrid.add(marker);
+    this.hoverMarker = marker;
+    return marker;
+  }
+
+  // Translucent copy of a piece model; null without a template
+  _createGhost(template, material, size) {
+    if (!template) return null;
+
+    const ghostMaterial = material.clone();
+    ghostMaterial.transparent = true;
+    ghostMaterial.opacity = 0.35;
+    ghostMaterial.depthWrite = false;
+
+    const ghost = template.clone();
+    ghost.traverse((child) => {
+      if (child.isMesh) child.material = ghostMaterial;
+    });
+    ghost.scale.set(size, size, size);
+    ghost.visible = false;
+    return ghost;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Heatmap overlay
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Tint the free spheres by score. `cells` is [{ x, y, z, score, kind }]
+   * (see GameState3D.analyzeMoves); 'win' / 'block' cells get their own
+   * color and a pulse, the rest go from blue (weak) to red (strong).
+   */
+  showHeatmap(cells) {
+    this.hideHeatmap();
+
+    const ranked = cells.filter((c) => !c.kind);
+    const min = Math.min(...ranked.map((c) => c.score));
+    const max = Math.max(...ranked.map((c) => c.score));
+    const low = new THREE.Color(HEATMAP_COLORS.low);
+    const high = new THREE.Color(HEATMAP_COLORS.high);
+
+    for (const cell of cells) {
+      const sphere = this.findSphereByGridPos(cell.x, cell.y, cell.z);
+      if (!sphere || !this.isSphereFree(sphere.uuid)) continue;
+
+      if (cell.kind) {
+        sphere.material.color.setHex(HEATMAP_COLORS[cell.kind]);
+        gsap.to(sphere.scale, {
+          x: 1.5,
+          y: 1.5,
+          z: 1.5,
+          duration: 0.4,
+          ease: 'sine.inOut',
+          yoyo: true,
+          repeat: -1
+        });
+      } else {
+        const t = max > min ? (cell.score - min) / (max - min) : 0.5;
+        sphere.material.color.lerpColors(low, high, t);
+      }
+
+      this.heatmapSpheres.add(sphere);
+    }
+  }
+
+  hideHeatmap() {
+    this.heatmapSpheres.forEach((sphere) => {
+      gsap.killTweensOf(sphere.scale);
+      sphere.scale.set(1, 1, 1);
+      sphere.material.color.setHex(0xffffff);
+    });
+    this.heatmapSpheres.clear();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Threats: pulsing halos on cells one move from winning
+  // ---------------------------------------------------------------------------
+
+  /**
+   * `threats` = GameState3D.getThreats(). Cells out of reach under
+   * gravity get a fainter halo.
+   */
+  showThreats(threats) {
+    this.hideThreats();
+    if (!this.baseGrid) return;
+
+    // One halo per cell, even when several lines (or both players) meet there
+    const byCell = new Map();
+    for (const { player, cell, playable } of threats) {
+      const key = `${cell.x},${cell.y},${cell.z}`;
+      const entry = byCell.get(key) ?? { cell, players: new Set(), playable };
+      entry.players.add(player);
+      byCell.set(key, entry);
+    }
+
+    for (const [key, { cell, players, playable }] of byCell) {
+      const sphere = this.spheresByCell.get(key);
+      if (!sphere) continue;
+
+      const color = players.size > 1 ? THREAT_COLORS.both : THREAT_COLORS[[...players][0]];
+      const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(SPHERE_RADIUS * this.cellSpacing * 1.5, 16, 16),
+        new THREE.MeshBasicMaterial({
+          color,
+          transparent: true,
+          opacity: playable ? 0.35 : 0.15,
+          depthWrite: false
+        })
+      );
+      marker.userData.cell = cell;
+      marker.position.copy(this.worldToLocalOnGrid(sphere.getWorldPosition(new THREE.Vector3())));
+      this.baseGrid.add(marker);
+      this.threatMarkers.set(key, marker);
+
+      gsap.fromTo(
+        marker.scale,
+        { x: 0.7, y: 0.7, z: 0.7 },
+        { x: 1.2, y: 1.2, z: 1.2, duration: 0.6, ease: 'sine.inOut', yoyo: true, repeat: -1 }
+      );
+    }
+  }
+
+  hideThreats() {
+    this.threatMarkers.forEach((marker) => {
+      gsap.killTweensOf(marker.scale);
+      marker.parent?.remove(marker);
+      marker.geometry.dispose();
+      marker.material.dispose();
+    });
+    this.threatMarkers.clear();
+  }
+
   // ---------------------------------------------------------------------------
   // Reset visuals
   // ---------------------------------------------------------------------------
 
-  resetVisuals() {
-    // Remove winning line
-    if (this.winLine) {
-      if (this.winLine.parent) this.winLine.parent.remove(this.winLine);
-      if (this.winLine.geometry) {
-        this.winLine.geometry.dispose();
+  hideWinningLine() {
+    for (const winLine of this.winLines) {
+      if (winLine.parent) winLine.parent.remove(winLine);
+      if (winLine.geometry) {
+        winLine.geometry.dispose();
       }
-      if (this.winLine.material && this.winLine.material.isMaterial) {
-        this.winLine.material.dispose();
+      if (winLine.material && winLine.material.isMaterial) {
+        winLine.material.dispose();
       }
-      this.winLine = null;
     }
+    this.winLines = [];
+  }
+
+  resetVisuals() {
+    // Remove winning lines
+    this.hideWinningLine();
+    this.hideHeatmap();
+    this.hideThreats();
+    this.setHoverSphere(null);
 
     // Remove all active X/O pieces
-    this.activePieces.forEach((piece) => {
-      gsap.to(piece.scale, {
-        x: 0,
-        y: 0,
-        z: 0,
-        duration: 0.2,
-        ease: 'power3.in',
-        onComplete: () => {
-          if (piece.parent) piece.parent.remove(piece);
-          piece.traverse?.((n) => {
-            if (n.isMesh) {
-              n.geometry?.dispose?.();
-              // Keep shared materials (orange/lightBlue) alive
-            }
-          });
-        }
-      });
-    });
+    this.activePieces.forEach((piece) => this._animatePieceOut(piece));
     this.activePieces.clear();
+    this.piecesByCell.clear();
 
     // Make all spheres visible again
     if (this.baseGrid) {
@@ -379,4 +831,24 @@ export class BoardView {
 
     this.usedSpheres.clear();
   }
+
+  _animatePieceOut(piece) {
+    gsap.to(piece.scale, {
+      x: 0,
+      y: 0,
+      z: 0,
+      duration: 0.2,
+      ease: 'power3.in',
+      overwrite: true, // may still be mid spawn animation
+      onComplete: () => {
+        if (piece.parent) piece.parent.remove(piece);
+        piece.traverse?.((n) => {
+          if (n.isMesh) {
+            n.geometry?.dispose?.();
+            // Keep shared materials (orange/lightBlue) alive
+          }
+        });
+      }
+    });
+  }
 }
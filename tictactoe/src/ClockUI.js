@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+
+import {
+  createTextButton,
+  setTextButtonLabel,
+  setTextButtonActive,
+  showTextButtons
+} from './TextButton.js';
+
+const LINE_HEIGHT = 0.032;
+const BAR_WIDTH = 0.1;
+
+// Move time bar: white, red once this fraction of the limit is left
+const BAR_COLOR = 0xffffff;
+const BAR_LOW_COLOR = 0xff4040;
+const BAR_LOW_FRACTION = 0.25;
+
+/**
+ * 3D clock beside the board: each side's remaining game time (side to
+ * move highlighted) and the current move's countdown with a shrinking bar.
+ * Only the parts the GameClock uses are shown.
+ */
+export class ClockUI {
+  constructor(parent, { showTotals = true, showTurn = true } = {}) {
+    this.parent = parent;
+    this.isShown = false;
+
+    this.sidePlanes = {};
+    this.turnPlane = null;
+    this.turnBar = null;
+
+    let line = 0;
+    const nextPosition = () => [0.27, -0.03 - line++ * LINE_HEIGHT, 0];
+
+    if (showTotals) {
+      for (const player of ['O', 'X']) {
+        this.sidePlanes[player] = createTextButton(parent, {
+          label: player,
+          width: BAR_WIDTH,
+          height: 0.028,
+          position: nextPosition(),
+          textSize: 0.01
+        });
+      }
+    }
+
+    if (showTurn) {
+      this.turnPlane = createTextButton(parent, {
+        label: ' ',
+        width: BAR_WIDTH,
+        height: 0.028,
+        position: nextPosition(),
+        textSize: 0.009
+      });
+
+      // Fill anchored at the left edge, scaled along x
+      const geometry = new THREE.PlaneGeometry(BAR_WIDTH, 0.004);
+      geometry.translate(BAR_WIDTH / 2, 0, 0);
+      this.turnBar = new THREE.Mesh(
+        geometry,
+        new THREE.MeshBasicMaterial({ color: BAR_COLOR, transparent: true, opacity: 0.8 })
+      );
+      this.turnBar.position.set(-BAR_WIDTH / 2, -0.011, 0.002);
+      this.turnPlane.add(this.turnBar);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // API used by main.js
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Refresh from the clock; called every frame, labels only change
+   * when the shown seconds do.
+   */
+  update(clock, now) {
+    for (const [player, plane] of Object.entries(this.sidePlanes)) {
+      setLabel(plane, `${player}  ${formatClock(clock.getRemaining(player, now))}`);
+      if (plane.userData.active !== (clock.running === player)) {
+        setTextButtonActive(plane, clock.running === player);
+      }
+    }
+
+    if (this.turnPlane) {
+      const left = clock.getTurnRemaining(now);
+      const fraction = left / clock.turnLimitMs;
+
+      setLabel(this.turnPlane, clock.running ? `MOVE ${Math.ceil(left / 1000)}s` : ' ');
+      this.turnBar.scale.x = clock.running ? Math.max(0.001, fraction) : 0.001;
+      this.turnBar.material.color.setHex(fraction <= BAR_LOW_FRACTION ? BAR_LOW_COLOR : BAR_COLOR);
+    }
+  }
+
+  show() {
+    if (this.isShown) return;
+    this.isShown = true;
+    showTextButtons(this._planes(), true);
+  }
+
+  hide() {
+    if (!this.isShown) return;
+    this.isShown = false;
+    showTextButtons(this._planes(), false);
+  }
+
+  _planes() {
+    return [...Object.values(this.sidePlanes), this.turnPlane].filter(Boolean);
+  }
+}
+
+function setLabel(plane, text) {
+  if (plane.userData.labelText !== text) {
+    setTextButtonLabel(plane, text);
+  }
+}
+
+// 4:05, rounded up so a clock shows 0:00 only once it has run out
+function formatClock(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
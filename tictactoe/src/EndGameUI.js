@@ -3,6 +3,14 @@ import gsap from 'gsap';
 import { FontLoader } from 'three/addons/loaders/FontLoader.js';
 import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
 
+import {
+  loadUIFont,
+  createTextButton,
+  setTextButtonLabel,
+  popTextButton,
+  showTextButtons
+} from './TextButton.js';
+
 export class EndGameUI {
   constructor(
     parent,
@@ -15,17 +23,32 @@ export class EndGameUI {
 
     this.endGameOPlane = null;
     this.endGameXPlane = null;
+    this.endGameDrawPlane = null;
     this.endGameButtonPlane = null;
 
     this.buttonAnimating = false;
     this.buttonCallback = null;
 
+    // Undo / redo controls beside the reset button
+    this.undoPlane = null;
+    this.redoPlane = null;
+    this.undoCallback = null;
+    this.redoCallback = null;
+
+    // Replay or export the finished game, below the reset button
+    this.replayPlane = null;
+    this.replayCallback = null;
+    this.exportPlane = null;
+    this.exportCallback = null;
+
     // 3D text
     this.font = null;
     this.currentText = null;
+    this.textRequestId = 0;
 
     this._createPlanes();
     this._attachUIModels();
+    this._createHistoryButtons();
   }
 
   // ---------------------------------------------------------------------------
@@ -66,6 +89,15 @@ export class EndGameUI {
     this.endGameXPlane.scale.set(0, 0, 0);
     this.parent.add(this.endGameXPlane);
 
+    // Draw plane, same size, text instead of the wins texture
+    this.endGameDrawPlane = createTextButton(this.parent, {
+      label: 'DRAW',
+      width: 0.2592,
+      height: 0.076464,
+      position: [0, 0.12, 0],
+      textSize: 0.03
+    });
+
     // Button plane
     this.endGameButtonPlane = new THREE.Mesh(
       new THREE.PlaneGeometry(0.139968, 0.0401436),
@@ -103,6 +135,32 @@ export class EndGameUI {
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // Undo / redo buttons left and right of the reset button
+  // ---------------------------------------------------------------------------
+  _createHistoryButtons() {
+    this.undoPlane = createTextButton(this.parent, {
+      label: 'UNDO',
+      width: 0.06,
+      position: [-0.17, 0.04, 0],
+      textSize: 0.011
+    });
+    this.redoPlane = createTextButton(this.parent, {
+      label: 'REDO',
+      width: 0.06,
+      position: [0.17, 0.04, 0],
+      textSize: 0.011
+    });
+    this.replayPlane = createTextButton(this.parent, {
+      label: 'REPLAY',
+      position: [0, -0.01, 0]
+    });
+    this.exportPlane = createTextButton(this.parent, {
+      label: 'EXPORT',
+      position: [0, -0.055, 0]
+    });
+  }
+
   // ---------------------------------------------------------------------------
   // API used by main.js
   // ---------------------------------------------------------------------------
@@ -146,17 +204,101 @@ export class EndGameUI {
     });
   }
 
+  getUndoPlane() {
+    return this.undoPlane;
+  }
+
+  getRedoPlane() {
+    return this.redoPlane;
+  }
+
+  onUndoPress(cb) {
+    this.undoCallback = cb;
+  }
+
+  onRedoPress(cb) {
+    this.redoCallback = cb;
+  }
+
+  triggerUndoPress() {
+    this._pressHistoryButton(this.undoPlane, this.undoCallback);
+  }
+
+  triggerRedoPress() {
+    this._pressHistoryButton(this.redoPlane, this.redoCallback);
+  }
+
+  getReplayPlane() {
+    return this.replayPlane;
+  }
+
+  onReplayPress(cb) {
+    this.replayCallback = cb;
+  }
+
+  triggerReplayPress() {
+    this._pressHistoryButton(this.replayPlane, this.replayCallback);
+  }
+
+  getExportPlane() {
+    return this.exportPlane;
+  }
+
+  onExportPress(cb) {
+    this.exportCallback = cb;
+  }
+
+  triggerExportPress() {
+    this._pressHistoryButton(this.exportPlane, this.exportCallback);
+  }
+
+  /** Relabel EXPORT once done, e.g. 'COPIED'; reset when the buttons show again */
+  setExportLabel(label) {
+    setTextButtonLabel(this.exportPlane, label);
+  }
+
+  /** REPLAY and EXPORT for the last game */
+  showRecordButtons(visible) {
+    if (visible) this.setExportLabel('EXPORT');
+    showTextButtons([this.replayPlane, this.exportPlane], visible, { delay: 0.3 });
+  }
+
+  _pressHistoryButton(plane, cb) {
+    if (!plane || plane.scale.x === 0) return;
+
+    popTextButton(plane);
+
+    // Run after the pop starts so a resulting hide can take over the tween
+    cb?.();
+  }
+
+  /**
+   * Show or hide the undo/redo buttons to match the move history.
+   */
+  setHistoryControls({ canUndo, canRedo }) {
+    const animate = (plane, visible) => {
+      if (plane.scale.x === (visible ? 1.0 : 0)) return;
+      showTextButtons([plane], visible);
+    };
+
+    animate(this.undoPlane, canUndo);
+    animate(this.redoPlane, canRedo);
+  }
+
   /**
    * Show winner UI.
    * winner: 'O' | 'X' | 'draw'
+   * name: optional label above the message, e.g. 'YOU' or 'PLAYER 2'
    */
-  showWinner(winner) {
+  showWinner(winner, { name } = {}) {
     let targetPlane = null;
 
     if (winner === 'O') {
       targetPlane = this.endGameOPlane;
     } else if (winner === 'X') {
       targetPlane = this.endGameXPlane;
+    } else if (winner === 'draw') {
+      targetPlane = this.endGameDrawPlane;
     } else {
       return;
     }
@@ -167,6 +309,11 @@ export class EndGameUI {
     targetPlane.scale.set(0, 0, 0);
     this.endGameButtonPlane.scale.set(0, 0, 0);
 
+    this._clearText();
+    if (name) {
+      this._showWinnerName(targetPlane, name);
+    }
+
     // Animate winner plane
     gsap.to(targetPlane.scale, {
       x: 1.2,
@@ -191,7 +338,10 @@ export class EndGameUI {
     const targets = [
       this.endGameOPlane?.scale,
       this.endGameXPlane?.scale,
-      this.endGameButtonPlane?.scale
+      this.endGameDrawPlane?.scale,
+      this.endGameButtonPlane?.scale,
+      this.replayPlane?.scale,
+      this.exportPlane?.scale
     ].filter(Boolean);
 
     if (targets.length === 0) return;
@@ -201,10 +351,46 @@ export class EndGameUI {
       y: 0,
       z: 0,
       duration: 0.2,
-      ease: 'power3.in'
+      ease: 'power3.in',
+      overwrite: true
     });
 
     // Also clear any 3D text if you use it
+    this._clearText();
+  }
+
+  _showWinnerName(targetPlane, name) {
+    const requestId = ++this.textRequestId;
+
+    loadUIFont().then((font) => {
+      // Hidden or replaced while the font was loading
+      if (requestId !== this.textRequestId) return;
+
+      const geometry = new TextGeometry(name, {
+        font,
+        size: 0.014,
+        depth: 0,
+        curveSegments: 12,
+        bevelEnabled: false
+      });
+      geometry.center();
+
+      this.currentText = new THREE.Mesh(
+        geometry,
+        new THREE.MeshBasicMaterial({
+          color: 0xffffff,
+          transparent: true,
+          opacity: 0.9
+        })
+      );
+      this.currentText.position.set(0, 0.055, 0.001);
+      targetPlane.add(this.currentText);
+    });
+  }
+
+  _clearText() {
+    this.textRequestId++;
+
     if (this.currentText) {
       this.currentText.parent?.remove(this.currentText);
       this.currentText.geometry?.dispose();
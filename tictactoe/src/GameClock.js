@@ -0,0 +1,76 @@
+// Chess-style clocks: an optional time limit per move and an optional
+// budget per side for the whole game. Pure JS, times in ms from
+// performance.now() (passed in, so main.js reads the time once per frame).
+
+/**
+ * What happens when a human runs out of time.
+ */
+export const TIMEOUT_ACTION = {
+  RANDOM_MOVE: 'random', // a random legal move is played for them
+  FORFEIT: 'forfeit'     // they lose the game
+};
+
+export class GameClock {
+  constructor({ turnLimitMs = 0, totalMs = 0 } = {}) {
+    this.turnLimitMs = turnLimitMs; // 0 = no per-move limit
+    this.totalMs = totalMs;         // 0 = no per-side budget
+
+    this.reset();
+  }
+
+  isEnabled() {
+    return this.turnLimitMs > 0 || this.totalMs > 0;
+  }
+
+  /**
+   * Full budgets for both sides, nobody's clock running.
+   */
+  reset() {
+    this.remaining = { O: this.totalMs, X: this.totalMs };
+    this.running = null;   // 'O' | 'X' | null
+    this.turnStart = 0;
+  }
+
+  /**
+   * Start `player`'s clock (and their turn), stopping the other one.
+   * Already running for `player`: keeps counting the same turn.
+   */
+  start(player, now) {
+    if (this.running === player) return;
+    this.stop(now);
+    this.running = player;
+    this.turnStart = now;
+  }
+
+  stop(now) {
+    if (!this.running) return;
+    this.remaining[this.running] -= now - this.turnStart;
+    this.running = null;
+  }
+
+  /**
+   * Time left for the current move, Infinity without a per-move limit.
+   */
+  getTurnRemaining(now) {
+    if (!this.turnLimitMs) return Infinity;
+    if (!this.running) return this.turnLimitMs;
+    return Math.max(0, this.turnLimitMs - (now - this.turnStart));
+  }
+
+  /**
+   * Time left in `player`'s game budget, Infinity without one.
+   */
+  getRemaining(player, now) {
+    if (!this.totalMs) return Infinity;
+    const elapsed = this.running === player ? now - this.turnStart : 0;
+    return Math.max(0, this.remaining[player] - elapsed);
+  }
+
+  /**
+   * The side to move is out of time (move limit or game budget).
+   */
+  isExpired(now) {
+    if (!this.running) return false;
+    return this.getTurnRemaining(now) <= 0 || this.getRemaining(this.running, now) <= 0;
+  }
+}
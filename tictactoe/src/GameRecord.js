@@ -0,0 +1,162 @@
+// Compact JSON records of finished games, for demos and AI bug reports.
+//
+// {
+//   version: 1,
+//   size: 3,                  // cells per side
+//   startedBy: 'O',
+//   mode: 'ai' | 'hotseat' | 'puzzle',   // against the computer, two players, a puzzle
+//   difficulty: 'medium',     // AI level the game was played at
+//   rules: 'classic' | 'gravity',
+//   gravityAxis: 'y',         // only used by gravity games
+//   preset: { O: [[x,y,z]], X: [...] } | null,   // puzzle starting pieces
+//   playedAt: '2026-01-01T12:00:00.000Z',
+//   moves: [{ x, y, z, player, t }],   // t = ms since round start
+//   result: 'O' | 'X' | 'draw',
+//   winningLine: { start: {x,y,z}, end: {x,y,z} } | null
+// }
+
+import { RULES, GRAVITY_AXES } from './GameState3D.js';
+
+export const RECORD_VERSION = 1;
+
+const STORAGE_KEY = 'tictactoe.gameRecords';
+const MAX_STORED_RECORDS = 20;
+
+/**
+ * Build a record from a finished GameState3D.
+ */
+export function createGameRecord(gameState, { mode } = {}) {
+  return {
+    version: RECORD_VERSION,
+    size: gameState.size,
+    startedBy: gameState.history[0]?.player ?? null,
+    mode,
+    difficulty: gameState.difficulty,
+    rules: gameState.rules,
+    gravityAxis: gameState.gravityAxis,
+    preset: gameState.preset,
+    playedAt: new Date().toISOString(),
+    moves: gameState.history.map(({ x, y, z, player, t }) => ({ x, y, z, player, t })),
+    result: gameState.winner,
+    winningLine: gameState.getWinningLine()
+  };
+}
+
+/**
+ * Validate a record (object or JSON string). Throws on anything malformed.
+ */
+export function parseGameRecord(data) {
+  const record = typeof data === 'string' ? JSON.parse(data) : data;
+
+  if (!record || record.version !== RECORD_VERSION) {
+    throw new Error(`Invalid game record: unsupported version ${record?.version}`);
+  }
+  if (!Number.isInteger(record.size) || record.size < 3) {
+    throw new Error(`Invalid game record: bad board size ${record.size}`);
+  }
+  if (!Array.isArray(record.moves)) {
+    throw new Error('Invalid game record: moves must be an array');
+  }
+
+  if (record.rules !== undefined && !Object.values(RULES).includes(record.rules)) {
+    throw new Error(`Invalid game record: unknown rules ${record.rules}`);
+  }
+  if (record.gravityAxis !== undefined && !GRAVITY_AXES.includes(record.gravityAxis)) {
+    throw new Error(`Invalid game record: unknown gravity axis ${record.gravityAxis}`);
+  }
+  if (record.result != null && !['O', 'X', 'draw'].includes(record.result)) {
+    throw new Error(`Invalid game record: bad result ${record.result}`);
+  }
+
+  const inRange = (v) => Number.isInteger(v) && v >= 0 && v < record.size;
+  const isCell = (c) => typeof c === 'object' && c !== null && [c.x, c.y, c.z].every(inRange);
+
+  if (record.winningLine != null && !(isCell(record.winningLine.start) && isCell(record.winningLine.end))) {
+    throw new Error('Invalid game record: bad winning line');
+  }
+
+  if (record.preset) {
+    for (const player of ['O', 'X']) {
+      const cells = record.preset[player] ?? [];
+      if (!Array.isArray(cells) || !cells.every((c) => Array.isArray(c) && c.length === 3 && c.every(inRange))) {
+        throw new Error(`Invalid game record: bad preset ${player} pieces`);
+      }
+    }
+  }
+
+  record.moves.forEach((move, i) => {
+    if (![move.x, move.y, move.z].every(inRange) || !['O', 'X'].includes(move.player)) {
+      throw new Error(`Invalid game record: bad move #${i + 1}`);
+    }
+  });
+
+  return record;
+}
+
+/**
+ * Keep the most recent records in localStorage.
+ */
+export function saveGameRecord(record) {
+  try {
+    const records = loadGameRecords();
+    records.push(record);
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify(records.slice(-MAX_STORED_RECORDS))
+    );
+  } catch (err) {
+    console.warn('Could not save game record:', err);
+  }
+}
+
+export function loadGameRecords() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (err) {
+    console.warn('Could not read game records:', err);
+    return [];
+  }
+}
+
+/**
+ * Hand a record to the player as JSON: copied to the clipboard, or
+ * downloaded as a .json file when the clipboard is unavailable or
+ * refused. Resolves to 'copied' or 'downloaded'.
+ */
+export async function exportGameRecord(record) {
+  const json = JSON.stringify(record);
+
+  try {
+    await navigator.clipboard.writeText(json);
+    return 'copied';
+  } catch (err) {
+    console.warn('Could not copy game record, downloading it instead:', err);
+  }
+
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `tictactoe-${(record.playedAt ?? new Date().toISOString()).replace(/[:.]/g, '-')}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  return 'downloaded';
+}
+
+/**
+ * Resolve the ?replay= URL value: 'last' for the latest saved game,
+ * otherwise a URL to a record JSON file.
+ */
+export async function fetchGameRecord(source) {
+  if (source === 'last') {
+    const last = loadGameRecords().pop();
+    if (!last) throw new Error('No saved game records');
+    return parseGameRecord(last);
+  }
+
+  const response = await fetch(source);
+  if (!response.ok) {
+    throw new Error(`Failed to load game record ${source}: ${response.status}`);
+  }
+  return parseGameRecord(await response.json());
+}
@@ -1,17 +1,156 @@
+import { getStrategy } from './AIStrategies.js';
+
 export const GRID_SIZE = 3;
 
+// Board sizes the game supports (cells per side)
+export const MIN_GRID_SIZE = 3;
+export const MAX_GRID_SIZE = 9;
+
+export const DIFFICULTY = {
+  EASY: 'easy',
+  MEDIUM: 'medium',
+  HARD: 'hard'
+};
+
+// Classic: any free cell. Gravity (3D Connect-Four): pieces fall along
+// the gravity axis to the lowest free cell of their column.
+export const RULES = {
+  CLASSIC: 'classic',
+  GRAVITY: 'gravity'
+};
+
+export const GRAVITY_AXES = ['x', 'y', 'z'];
+
+// Strategy (see AIStrategies.js) and its options per level.
+// Easy skips the search and uses the heuristic only.
+const DIFFICULTY_AI = {
+  [DIFFICULTY.EASY]: { strategy: 'heuristic' },
+  [DIFFICULTY.MEDIUM]: { strategy: 'minimax', maxDepth: 3, timeBudgetMs: 150 },
+  [DIFFICULTY.HARD]: { strategy: 'minimax', maxDepth: 7, timeBudgetMs: 400 }
+};
+
+const WIN_SCORE = 100000;
+
+// Leaf bonus for a win the side to move can't be stopped from taking next
+// turn (a playable threat of its own, or two of the opponent's it can't
+// both block): well above any line count, well below a searched win
+const THREAT_SCORE = WIN_SCORE / 10;
+
+// Search move ordering, most forcing first. A fork leaves two lines one
+// piece short, which a single reply can't both block.
+const MOVE_URGENCY = {
+  WIN: 4,
+  BLOCK: 3,
+  FORK: 2,
+  FORK_BLOCK: 1, // takes the cell the opponent would fork on
+  NONE: 0
+};
+
+// Transposition table entries: exact score, or a lower / upper bound
+// from an alpha-beta cutoff. Cleared when it grows past the limit.
+const TT_EXACT = 0;
+const TT_LOWER = 1;
+const TT_UPPER = 2;
+const MAX_TRANSPOSITIONS = 200000;
+
+// Axis orders for the cube symmetries (times 8 sign flips = 48)
+const AXIS_PERMUTATIONS = [
+  [0, 1, 2],
+  [0, 2, 1],
+  [1, 0, 2],
+  [1, 2, 0],
+  [2, 0, 1],
+  [2, 1, 0]
+];
+
+// Opening book per board size and rules: positions from the mover's side
+// ('own' / 'opponent' cells) and the reply. Gravity entries assume y is down.
+// Stored by canonical form, so each entry covers all symmetric positions.
+const OPENING_BOOK = {
+  '3-classic': [
+    { own: [], opponent: [], reply: [1, 1, 1] },
+    { own: [], opponent: [[1, 1, 1]], reply: [0, 0, 0] },
+    { own: [], opponent: [[0, 0, 0]], reply: [1, 1, 1] },
+    { own: [], opponent: [[0, 0, 1]], reply: [1, 1, 1] },
+    { own: [], opponent: [[0, 1, 1]], reply: [1, 1, 1] }
+  ],
+  '4-classic': [
+    { own: [], opponent: [], reply: [1, 1, 1] },
+    { own: [], opponent: [[1, 1, 1]], reply: [2, 2, 2] },
+    { own: [], opponent: [[0, 0, 0]], reply: [1, 1, 1] }
+  ],
+  '3-gravity': [
+    { own: [], opponent: [], reply: [1, 0, 1] },
+    { own: [], opponent: [[1, 0, 1]], reply: [1, 1, 1] }
+  ],
+  '4-gravity': [
+    { own: [], opponent: [], reply: [1, 0, 1] }
+  ]
+};
+
+// The 13 line directions through a cube: 3 axes, 6 face diagonals, 4 space diagonals
+const LINE_DIRECTIONS = [
+  // axes
+  { dx: 1, dy: 0, dz: 0 },
+  { dx: 0, dy: 1, dz: 0 },
+  { dx: 0, dy: 0, dz: 1 },
+  // face diagonals
+  { dx: 1, dy: 1, dz: 0 },
+  { dx: 1, dy: -1, dz: 0 },
+  { dx: 1, dy: 0, dz: 1 },
+  { dx: 1, dy: 0, dz: -1 },
+  { dx: 0, dy: 1, dz: 1 },
+  { dx: 0, dy: 1, dz: -1 },
+  // space diagonals
+  { dx: 1, dy: 1, dz: 1 },
+  { dx: 1, dy: 1, dz: -1 },
+  { dx: 1, dy: -1, dz: 1 },
+  { dx: 1, dy: -1, dz: -1 }
+];
+
 export class GameState3D {
-  constructor() {
+  constructor({
+    size = GRID_SIZE,
+    difficulty = DIFFICULTY.MEDIUM,
+    rules = RULES.CLASSIC,
+    gravityAxis = 'y'
+  } = {}) {
+    this.size = size;   // cells per side: 3 (classic) or 4 (Qubic)
     this.grid = this._createEmptyGrid();
     this.isGameOver = false;
     this.winner = null;       // 'O' | 'X' | 'draw' | null
     this.winningLine = null;  // { start: {x,y,z}, end: {x,y,z} } | null
+    this.winningLines = [];   // every line the winning move completed (winningLine first)
+    this.difficulty = difficulty;
+    this.rules = rules;
+    this.gravityAxis = gravityAxis; // grid axis pieces fall along, towards index 0
+    this.startingPlayer = 'O';
+
+    // Move history for undo/redo: { x, y, z, player, t }
+    // t = ms since the round started, used by game records
+    this.history = [];
+    this.redoStack = [];
+    this.roundStartTime = Date.now();
+
+    // Pieces a puzzle starts with (not in the history): { O: [[x,y,z]], X: [...] }
+    this.preset = null;
+
+    // Every winning line as a list of cells, built once
+    this.lines = this._buildLines();
+    this.cellLines = this._buildCellLines();
+
+    // Random 32-bit keys per player and cell, two per cell for a 53-bit hash
+    this.zobrist = {
+      O: [this._randomKeys(), this._randomKeys()],
+      X: [this._randomKeys(), this._randomKeys()]
+    };
+    this._rebuildSymmetryTables();
   }
 
   _createEmptyGrid() {
-    return Array(GRID_SIZE).fill().map(() =>
-      Array(GRID_SIZE).fill().map(() =>
-        Array(GRID_SIZE).fill(null)
+    return Array(this.size).fill().map(() =>
+      Array(this.size).fill().map(() =>
+        Array(this.size).fill(null)
       )
     );
   }
@@ -21,6 +160,91 @@ export class GameState3D {
     this.isGameOver = false;
     this.winner = null;
     this.winningLine = null;
+    this.winningLines = [];
+    this.history = [];
+    this.redoStack = [];
+    this.roundStartTime = Date.now();
+    this.preset = null;
+    this.transpositions.clear();
+  }
+
+  /**
+   * Start from a preset position (puzzles): `pieces` = { O: [[x,y,z]], X: [...] },
+   * `toMove` plays first. Preset pieces are not part of the history,
+   * so they can't be undone.
+   */
+  loadPosition(pieces, toMove = 'O') {
+    this.reset();
+    for (const player of ['O', 'X']) {
+      for (const [x, y, z] of pieces[player] ?? []) {
+        this.grid[x][y][z] = player;
+      }
+    }
+    this.preset = { O: pieces.O ?? [], X: pieces.X ?? [] };
+    this.startingPlayer = toMove;
+  }
+
+  /**
+   * Set AI strength: 'easy' | 'medium' | 'hard'.
+   * Kept across reset() so the choice sticks between rounds.
+   */
+  setDifficulty(level) {
+    if (!Object.values(DIFFICULTY).includes(level)) {
+      console.warn(`GameState3D.setDifficulty: unknown level "${level}"`);
+      return;
+    }
+    this.difficulty = level;
+  }
+
+  /**
+   * Switch between classic and gravity rules. Kept across reset();
+   * only change it between rounds.
+   */
+  setRules(rules, { gravityAxis = this.gravityAxis } = {}) {
+    if (!Object.values(RULES).includes(rules) || !GRAVITY_AXES.includes(gravityAxis)) {
+      console.warn(`GameState3D.setRules: unknown rules "${rules}" / axis "${gravityAxis}"`);
+      return;
+    }
+    this.rules = rules;
+    this.gravityAxis = gravityAxis;
+    this._rebuildSymmetryTables();
+  }
+
+  /**
+   * Whether (x,y,z) can be played now: free and, under gravity,
+   * resting on the floor or on another piece.
+   */
+  isLegalMove(x, y, z) {
+    if (this.grid[x][y][z] !== null) return false;
+    if (this.rules !== RULES.GRAVITY) return true;
+
+    const below = { x, y, z };
+    below[this.gravityAxis] -= 1;
+    return below[this.gravityAxis] < 0 || this.grid[below.x][below.y][below.z] !== null;
+  }
+
+  /**
+   * The cell a piece aimed at (x,y,z) ends up in: the cell itself under
+   * classic rules, the lowest free cell of its column under gravity.
+   * Returns { x, y, z } or null if there is no room.
+   */
+  resolveDrop(x, y, z) {
+    if (this.rules !== RULES.GRAVITY) {
+      return this.grid[x][y][z] === null ? { x, y, z } : null;
+    }
+
+    for (let i = 0; i < this.size; i++) {
+      const cell = { x, y, z, [this.gravityAxis]: i };
+      if (this.grid[cell.x][cell.y][cell.z] === null) return cell;
+    }
+    return null;
+  }
+
+  /**
+   * Top cell of the column through (x,y,z), where falling pieces start.
+   */
+  getColumnTop(x, y, z) {
+    return { x, y, z, [this.gravityAxis]: this.size - 1 };
   }
 
   /**
@@ -28,14 +252,25 @@ export class GameState3D {
    * Returns { success, winner } where winner may be 'O'|'X'|'draw'|null
    */
   makeMove(x, y, z, player) {
+    const result = this._applyMove(x, y, z, player);
+    if (result.success) {
+      // A fresh move invalidates anything that was undone
+      this.redoStack = [];
+    }
+    return result;
+  }
+
+  _applyMove(x, y, z, player, t = Date.now() - this.roundStartTime) {
     if (this.isGameOver) {
       return { success: false, winner: this.winner };
     }
-    if (this.grid[x][y][z] !== null) {
+    if (!this.isLegalMove(x, y, z)) {
       return { success: false, winner: this.winner };
     }
 
     this.grid[x][y][z] = player;
+    this.history.push({ x, y, z, player, t });
+
     const result = this._checkWinOrDraw();
     if (result) {
       this.isGameOver = true;
@@ -44,6 +279,81 @@ export class GameState3D {
     return { success: true, winner: this.winner };
   }
 
+  /**
+   * End the game with `player` giving up; the opponent wins.
+   * Returns the winner, or null if the game was already over.
+   */
+  resign(player) {
+    if (this.isGameOver) return null;
+
+    this.isGameOver = true;
+    this.winner = player === 'X' ? 'O' : 'X';
+    this.winningLine = null;
+    this.winningLines = [];
+    return this.winner;
+  }
+
+  /**
+   * Take back the last move, including one that ended the game.
+   * Returns the removed { x, y, z, player } or null if there is none.
+   */
+  undo() {
+    const move = this.history.pop();
+    if (!move) return null;
+
+    this.grid[move.x][move.y][move.z] = null;
+    this.redoStack.push(move);
+
+    // The position before any move was still in play
+    this.isGameOver = false;
+    this.winner = null;
+    this.winningLine = null;
+    this.winningLines = [];
+
+    return move;
+  }
+
+  /**
+   * Replay the last undone move.
+   * Returns { move, winner } or null if there is nothing to redo.
+   */
+  redo() {
+    const move = this.redoStack.pop();
+    if (!move) return null;
+
+    const result = this._applyMove(move.x, move.y, move.z, move.player, move.t);
+    if (!result.success) {
+      this.redoStack.push(move);
+      return null;
+    }
+    return { move, winner: result.winner };
+  }
+
+  /**
+   * Whose turn it is: the starting player on an empty board,
+   * otherwise the opposite of whoever moved last.
+   */
+  getCurrentPlayer() {
+    const last = this.history[this.history.length - 1];
+    if (!last) return this.startingPlayer;
+    return last.player === 'X' ? 'O' : 'X';
+  }
+
+  canUndo() {
+    return this.history.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Player of the move redo() would replay next, or null.
+   */
+  peekRedoPlayer() {
+    return this.redoStack[this.redoStack.length - 1]?.player ?? null;
+  }
+
   /**
    * Get the winning line (if any).
    * Returns { start: {x,y,z}, end: {x,y,z} } or null
@@ -52,71 +362,82 @@ export class GameState3D {
     return this.winningLine;
   }
 
+  /**
+   * Every line the winning move completed (one move can finish several).
+   * Returns [{ start: {x,y,z}, end: {x,y,z} }], empty without a winner.
+   */
+  getWinningLines() {
+    return this.winningLines;
+  }
+
+  /**
+   * Every open line one move from winning: all cells but one held by the
+   * same player, the last one empty (two-in-a-row on the 3×3×3 board).
+   * Returns [{ player, cell: {x,y,z}, line: { start, end }, playable }],
+   * where `playable` is false while gravity keeps the cell out of reach.
+   */
+  getThreats() {
+    const threats = [];
+
+    for (const line of this.lines) {
+      let owner = null;
+      let empty = null;
+      let open = true;
+
+      for (const c of line) {
+        const value = this.grid[c.x][c.y][c.z];
+        if (value === null) {
+          if (empty) { open = false; break; }
+          empty = c;
+        } else if (owner === null) {
+          owner = value;
+        } else if (value !== owner) {
+          open = false;
+          break;
+        }
+      }
+      if (!open || !empty || !owner) continue;
+
+      threats.push({
+        player: owner,
+        cell: { ...empty },
+        line: { start: { ...line[0] }, end: { ...line[line.length - 1] } },
+        playable: this.isLegalMove(empty.x, empty.y, empty.z)
+      });
+    }
+
+    return threats;
+  }
+
   /**
    * Internal: check for win or draw.
-   * Sets this.winningLine when someone wins.
+   * Sets this.winningLines (and winningLine, the first of them) when someone wins.
    */
   _checkWinOrDraw() {
-    // Reset winning line first
+    // Reset winning lines first
     this.winningLine = null;
+    this.winningLines = [];
 
-    const directions = [
-      // Horizontal lines (9)
-      ...[0, 1, 2].flatMap((y) =>
-        [0, 1, 2].map((z) => ({ dx: 1, dy: 0, dz: 0, x: 0, y, z }))
-      ),
-      // Vertical lines (9)
-      ...[0, 1, 2].flatMap((x) =>
-        [0, 1, 2].map((z) => ({ dx: 0, dy: 1, dz: 0, x, y: 0, z }))
-      ),
-      // Depth lines (9)
-      ...[0, 1, 2].flatMap((x) =>
-        [0, 1, 2].map((y) => ({ dx: 0, dy: 0, dz: 1, x, y, z: 0 }))
-      ),
-      // Diagonals in each face (6)
-      ...[0, 1, 2].map((z) => ({ dx: 1, dy: 1, dz: 0, x: 0, y: 0, z })),
-      ...[0, 1, 2].map((z) => ({ dx: 1, dy: -1, dz: 0, x: 0, y: 2, z })),
-      ...[0, 1, 2].map((y) => ({ dx: 1, dy: 0, dz: 1, x: 0, y, z: 0 })),
-      ...[0, 1, 2].map((y) => ({ dx: 1, dy: 0, dz: -1, x: 0, y, z: 2 })),
-      ...[0, 1, 2].map((x) => ({ dx: 0, dy: 1, dz: 1, x, y: 0, z: 0 })),
-      ...[0, 1, 2].map((x) => ({ dx: 0, dy: 1, dz: -1, x, y: 0, z: 2 })),
-      // Main space diagonals through cube (4)
-      { dx: 1, dy: 1, dz: 1, x: 0, y: 0, z: 0 },
-      { dx: 1, dy: 1, dz: -1, x: 0, y: 0, z: 2 },
-      { dx: 1, dy: -1, dz: 1, x: 0, y: 2, z: 0 },
-      { dx: 1, dy: -1, dz: -1, x: 0, y: 2, z: 2 }
-    ];
-
-    for (const dir of directions) {
-      const line = [];
-      const start = { x: dir.x, y: dir.y, z: dir.z };
-      let x = dir.x;
-      let y = dir.y;
-      let z = dir.z;
-
-      for (let i = 0; i < 3; i++) {
-        if (x >= 0 && x < 3 && y >= 0 && y < 3 && z >= 0 && z < 3) {
-          line.push(this.grid[x][y][z]);
-        }
-        x += dir.dx;
-        y += dir.dy;
-        z += dir.dz;
-      }
+    let winner = null;
+    for (const line of this.lines) {
+      const first = this.grid[line[0].x][line[0].y][line[0].z];
+      if (first === null) continue;
 
-      if (line.length === 3 && line[0] !== null && line.every((v) => v === line[0])) {
+      if (line.every((c) => this.grid[c.x][c.y][c.z] === first)) {
         // Store winning line endpoints in grid coords
-        this.winningLine = {
-          start,
-          end: {
-            x: start.x + 2 * dir.dx,
-            y: start.y + 2 * dir.dy,
-            z: start.z + 2 * dir.dz
-          }
-        };
-        return line[0]; // 'O' or 'X'
+        this.winningLines.push({
+          start: { ...line[0] },
+          end: { ...line[line.length - 1] }
+        });
+        winner = first; // 'O' or 'X'
       }
     }
 
+    if (winner) {
+      this.winningLine = this.winningLines[0];
+      return winner;
+    }
+
     // Draw?
     const isFull = this.grid.every((plane) =>
       plane.every((row) => row.every((cell) => cell !== null))
@@ -129,6 +450,153 @@ export class GameState3D {
     return null;
   }
 
+  /**
+   * Internal: list every winning line as an array of {x,y,z} cells.
+   * A line starts where stepping back along its direction leaves the board
+   * and must fit all `size` cells, which gives 3N² + 6N + 4 lines
+   * (49 for 3×3×3, 76 for 4×4×4).
+   */
+  _buildLines() {
+    const n = this.size;
+    const lines = [];
+
+    for (const { dx, dy, dz } of LINE_DIRECTIONS) {
+      for (let x = 0; x < n; x++) {
+        for (let y = 0; y < n; y++) {
+          for (let z = 0; z < n; z++) {
+            if (this._inBounds(x - dx, y - dy, z - dz)) continue;
+
+            const endX = x + (n - 1) * dx;
+            const endY = y + (n - 1) * dy;
+            const endZ = z + (n - 1) * dz;
+            if (!this._inBounds(endX, endY, endZ)) continue;
+
+            const cells = [];
+            for (let i = 0; i < n; i++) {
+              cells.push({ x: x + i * dx, y: y + i * dy, z: z + i * dz });
+            }
+            lines.push(cells);
+          }
+        }
+      }
+    }
+    return lines;
+  }
+
+  _inBounds(x, y, z) {
+    const n = this.size;
+    return x >= 0 && x < n && y >= 0 && y < n && z >= 0 && z < n;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Forced wins (puzzles)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Legal moves after which `player` wins within `movesLeft` of their own
+   * moves (this one included), whatever the opponent replies.
+   * Empty if there is no forced win. Meant for short puzzles (1–3 moves);
+   * in the render loop use createWinningMovesSearch instead.
+   */
+  getWinningMoves(player, movesLeft) {
+    return this.createWinningMovesSearch(player, movesLeft).step().moves;
+  }
+
+  /**
+   * getWinningMoves spread over several frames: call step(sliceMs) once
+   * per frame until it returns { done: true, moves }. A candidate cut off
+   * by the slice is checked again on the next step; positions already
+   * solved are remembered (symmetric ones included), so little work is lost.
+   * The board must not change between steps.
+   */
+  createWinningMovesSearch(player, movesLeft) {
+    const opponent = player === 'X' ? 'O' : 'X';
+    const candidates = this.getLegalMoves();
+    const moves = [];
+    const solved = new Map(); // movesLeft -> Map<position key, wins>
+    let next = 0;
+
+    const result = () => {
+      const done = next >= candidates.length;
+      return { done, moves: done ? [...moves] : [] };
+    };
+
+    const step = (sliceMs = Infinity) => {
+      const search = { deadline: performance.now() + sliceMs, aborted: false, solved };
+      this._initSearchHashes();
+
+      while (next < candidates.length) {
+        const wins = this._winsByForce(candidates[next], player, opponent, movesLeft, search);
+        if (search.aborted) break;
+
+        if (wins) moves.push(candidates[next]);
+        next++;
+      }
+      return result();
+    };
+
+    return { step };
+  }
+
+  _winsByForce({ x, y, z }, player, opponent, movesLeft, search) {
+    if (performance.now() > search.deadline) {
+      search.aborted = true;
+      return false;
+    }
+
+    this.grid[x][y][z] = player;
+
+    let wins;
+    if (this.completesLine(x, y, z, player)) {
+      wins = true;
+    } else if (movesLeft <= 1) {
+      wins = false;
+    } else {
+      this._toggleHash(x, y, z, player);
+
+      if (!search.solved.has(movesLeft)) search.solved.set(movesLeft, new Map());
+      const solved = search.solved.get(movesLeft);
+      const key = this._positionKey(opponent);
+
+      if (solved.has(key)) {
+        wins = solved.get(key);
+      } else {
+        wins = this._allRepliesLose(player, opponent, movesLeft, search);
+        if (!search.aborted) solved.set(key, wins);
+      }
+
+      this._toggleHash(x, y, z, player);
+    }
+
+    this.grid[x][y][z] = null;
+    return wins;
+  }
+
+  // Every reply must lose: no win for the opponent, and a forced win left for us
+  _allRepliesLose(player, opponent, movesLeft, search) {
+    const replies = this.getLegalMoves();
+    if (replies.length === 0) return false;
+
+    for (const reply of replies) {
+      const { x, y, z } = reply;
+      this.grid[x][y][z] = opponent;
+
+      let lost = false;
+      if (!this.completesLine(x, y, z, opponent)) {
+        this._toggleHash(x, y, z, opponent);
+        for (const next of this.getLegalMoves()) {
+          lost = this._winsByForce(next, player, opponent, movesLeft - 1, search);
+          if (lost || search.aborted) break;
+        }
+        this._toggleHash(x, y, z, opponent);
+      }
+
+      this.grid[x][y][z] = null;
+      if (!lost || search.aborted) return false;
+    }
+    return true;
+  }
+
   // ---------------------------------------------------------------------------
   // Evaluation / AI helpers (unchanged except they use this.grid)
   // ---------------------------------------------------------------------------
@@ -140,46 +608,51 @@ export class GameState3D {
     return { playerCount, emptyCount, opponentCount };
   }
 
+  // Contents of every line through (x, y, z)
   _getLinesThrough(x, y, z) {
+    return this.cellLines[this._cellIndex(x, y, z)].map((line) =>
+      line.map((c) => this.grid[c.x][c.y][c.z])
+    );
+  }
+
+  // Per cell index, the cells of every line through it, built once
+  // (the search asks for them at every node)
+  _buildCellLines() {
+    const n = this.size;
+    const cellLines = [];
+    for (let x = 0; x < n; x++) {
+      for (let y = 0; y < n; y++) {
+        for (let z = 0; z < n; z++) {
+          cellLines[this._cellIndex(x, y, z)] = this._findLinesThrough(x, y, z);
+        }
+      }
+    }
+    return cellLines;
+  }
+
+  _findLinesThrough(x, y, z) {
+    const n = this.size;
     const lines = [];
-    const dirs = [
-      // axes
-      { dx: 1, dy: 0, dz: 0 },
-      { dx: 0, dy: 1, dz: 0 },
-      { dx: 0, dy: 0, dz: 1 },
-      // face diagonals
-      { dx: 1, dy: 1, dz: 0 },
-      { dx: 1, dy: -1, dz: 0 },
-      { dx: 1, dy: 0, dz: 1 },
-      { dx: 1, dy: 0, dz: -1 },
-      { dx: 0, dy: 1, dz: 1 },
-      { dx: 0, dy: 1, dz: -1 },
-      // space diagonals
-      { dx: 1, dy: 1, dz: 1 },
-      { dx: 1, dy: 1, dz: -1 },
-      { dx: 1, dy: -1, dz: 1 },
-      { dx: 1, dy: -1, dz: -1 }
-    ];
-
-    for (const { dx, dy, dz } of dirs) {
-      for (let t = -2; t <= 0; t++) {
+
+    for (const { dx, dy, dz } of LINE_DIRECTIONS) {
+      for (let t = -(n - 1); t <= 0; t++) {
         const cells = [];
         let valid = true;
 
-        for (let k = 0; k < 3; k++) {
+        for (let k = 0; k < n; k++) {
           const px = x + (t + k) * dx;
           const py = y + (t + k) * dy;
           const pz = z + (t + k) * dz;
 
-          if (px < 0 || px > 2 || py < 0 || py > 2 || pz < 0 || pz > 2) {
+          if (!this._inBounds(px, py, pz)) {
             valid = false;
             break;
           }
           cells.push({ x: px, y: py, z: pz });
         }
 
-        if (valid && t <= 0 && t + 2 >= 0) {
-          lines.push(cells.map((c) => this.grid[c.x][c.y][c.z]));
+        if (valid) {
+          lines.push(cells);
         }
       }
     }
@@ -189,6 +662,7 @@ export class GameState3D {
   evaluatePosition(x, y, z, player) {
     if (this.grid[x][y][z] !== null) return -1;
 
+    const n = this.size;
     let score = 0;
     const opponent = player === 'X' ? 'O' : 'X';
     const lines = this._getLinesThrough(x, y, z);
@@ -197,51 +671,34 @@ export class GameState3D {
       const counts = this._countInLine(line, player);
 
       // Immediate win
-      if (counts.playerCount === 2 && counts.emptyCount === 1) {
+      if (counts.playerCount === n - 1 && counts.emptyCount === 1) {
         return 1000;
       }
 
       // Block opponent's win
       const oppCounts = this._countInLine(line, opponent);
-      if (oppCounts.playerCount === 2 && oppCounts.emptyCount === 1) {
+      if (oppCounts.playerCount === n - 1 && oppCounts.emptyCount === 1) {
         return 900;
       }
 
       // Build own potential
-      if (counts.playerCount === 1 && counts.emptyCount === 2) {
-        score += 50;
+      if (counts.playerCount > 0 && counts.opponentCount === 0) {
+        score += 50 * counts.playerCount;
       }
 
       // Block opponent's potential
-      if (oppCounts.playerCount === 1 && oppCounts.emptyCount === 2) {
-        score += 40;
+      if (oppCounts.playerCount > 0 && oppCounts.opponentCount === 0) {
+        score += 40 * oppCounts.playerCount;
       }
     }
 
-    // Strategic bonus
-    if (x === 1 && y === 1 && z === 1) {
-      score += 100; // center
-    } else if (
-      (x === 1 && y === 1) ||
-      (x === 1 && z === 1) ||
-      (y === 1 && z === 1)
-    ) {
-      score += 50; // face centers
-    } else if (
-      (x === 0 || x === 2) &&
-      (y === 0 || y === 2) &&
-      (z === 0 || z === 2)
-    ) {
-      score += 40; // corners
-    } else {
-      score += 20; // edges
-    }
+    score += this._cellBonus(x, y, z);
 
-    // Lines with 3 empties
+    // Completely empty lines
     const possibleLines = this._getLinesThrough(x, y, z);
     const potentialWinningLines = possibleLines.filter((line) => {
       const counts = this._countInLine(line, player);
-      return counts.playerCount === 0 && counts.emptyCount === 3;
+      return counts.playerCount === 0 && counts.emptyCount === n;
     }).length;
 
     score += potentialWinningLines * 30;
@@ -249,17 +706,75 @@ export class GameState3D {
     return score;
   }
 
+  // Strategic bonus by how many coordinates sit off the outer faces
+  _cellBonus(x, y, z) {
+    const n = this.size;
+    const interior = [x, y, z].filter((c) => c > 0 && c < n - 1).length;
+    if (interior === 3) return 100; // center (inner cube on even boards)
+    if (interior === 2) return 50; // face centers
+    if (interior === 0) return 40; // corners
+    return 20; // edges
+  }
+
   /**
-   * Compute best move for `player` using evaluatePosition.
+   * Compute best move for `player`. By default uses the strategy of the
+   * current difficulty; pass { strategy, ...options } to pick another one
+   * (e.g. { strategy: 'montecarlo', timeBudgetMs: 300 }).
    * Returns { x, y, z } or null if no move.
    */
-  findBestMove(player) {
+  findBestMove(player, ai = DIFFICULTY_AI[this.difficulty]) {
+    const { strategy, ...options } = ai;
+    const chooseMove = getStrategy(strategy);
+    if (!chooseMove) {
+      console.warn(`GameState3D.findBestMove: unknown strategy "${strategy}"`);
+      return null;
+    }
+    return chooseMove(this, player, options);
+  }
+
+  /**
+   * Like findBestMove, but spread over several frames so the render loop
+   * never stalls: call step(sliceMs) once per frame until it returns
+   * { done: true, move }. Only the minimax search is split; other
+   * strategies and book moves answer on the first step.
+   */
+  createMoveSearch(player, ai = DIFFICULTY_AI[this.difficulty]) {
+    const { strategy, maxDepth = 7, timeBudgetMs = 400, useBook = true } = ai;
+    const bookMove = strategy === 'minimax' && useBook && this.getBookMove(player);
+
+    if (strategy !== 'minimax' || bookMove) {
+      return { step: () => ({ done: true, move: bookMove || this.findBestMove(player, ai) }) };
+    }
+    return this._createSearch(player, { maxDepth, timeBudgetMs });
+  }
+
+  /**
+   * Every cell that can be played now, as [{ x, y, z }].
+   */
+  getLegalMoves() {
+    const moves = [];
+    for (let x = 0; x < this.size; x++) {
+      for (let y = 0; y < this.size; y++) {
+        for (let z = 0; z < this.size; z++) {
+          if (this.isLegalMove(x, y, z)) moves.push({ x, y, z });
+        }
+      }
+    }
+    return moves;
+  }
+
+  /**
+   * Greedy scan over evaluatePosition (the Easy opponent).
+   * Used by the 'heuristic' strategy (see AIStrategies.js).
+   */
+  findHeuristicMove(player) {
     let bestScore = -1;
     let bestMove = null;
 
-    for (let x = 0; x < GRID_SIZE; x++) {
-      for (let y = 0; y < GRID_SIZE; y++) {
-        for (let z = 0; z < GRID_SIZE; z++) {
+    for (let x = 0; x < this.size; x++) {
+      for (let y = 0; y < this.size; y++) {
+        for (let z = 0; z < this.size; z++) {
+          if (!this.isLegalMove(x, y, z)) continue;
           const score = this.evaluatePosition(x, y, z, player);
           if (score > bestScore) {
             bestScore = score;
@@ -270,4 +785,487 @@ export class GameState3D {
     }
     return bestMove;
   }
+
+  /**
+   * Score every legal cell for `player`, e.g. for the heatmap overlay.
+   * `kind` flags cells that win on the spot ('win') or stop the
+   * opponent's immediate win ('block').
+   * Returns [{ x, y, z, score, kind }].
+   */
+  analyzeMoves(player) {
+    const n = this.size;
+    const opponent = player === 'X' ? 'O' : 'X';
+    const moves = [];
+
+    for (let x = 0; x < n; x++) {
+      for (let y = 0; y < n; y++) {
+        for (let z = 0; z < n; z++) {
+          if (!this.isLegalMove(x, y, z)) continue;
+
+          const lines = this._getLinesThrough(x, y, z);
+          const oneAway = (p) =>
+            lines.some((line) => {
+              const counts = this._countInLine(line, p);
+              return counts.playerCount === n - 1 && counts.emptyCount === 1;
+            });
+
+          let kind = null;
+          if (oneAway(player)) kind = 'win';
+          else if (oneAway(opponent)) kind = 'block';
+
+          moves.push({ x, y, z, score: this.evaluatePosition(x, y, z, player), kind });
+        }
+      }
+    }
+    return moves;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Symmetries (48 cube rotations/reflections, 8 under gravity),
+  // canonical form and opening book
+  // ---------------------------------------------------------------------------
+
+  _cellIndex(x, y, z) {
+    return (x * this.size + y) * this.size + z;
+  }
+
+  _cellFromIndex(index) {
+    const n = this.size;
+    return { x: Math.floor(index / (n * n)), y: Math.floor(index / n) % n, z: index % n };
+  }
+
+  _randomKeys() {
+    return Int32Array.from({ length: this.size ** 3 }, () => (Math.random() * 0x100000000) | 0);
+  }
+
+  /**
+   * Symmetries, transposition table and opening book depend on the size
+   * and the rules, so they are rebuilt together.
+   */
+  _rebuildSymmetryTables() {
+    this.symmetries = this._buildSymmetries();
+    this.transpositions = new Map();
+    this.openingBook = this._buildOpeningBook();
+  }
+
+  /**
+   * Every symmetry of the board as a cell map: symmetry[index] is where
+   * the cell at `index` goes. Gravity keeps its axis and direction fixed.
+   */
+  _buildSymmetries() {
+    const n = this.size;
+    const gravity = GRAVITY_AXES.indexOf(this.gravityAxis);
+    const symmetries = [];
+
+    for (const perm of AXIS_PERMUTATIONS) {
+      for (let flips = 0; flips < 8; flips++) {
+        if (this.rules === RULES.GRAVITY && (perm[gravity] !== gravity || flips & (1 << gravity))) {
+          continue;
+        }
+
+        const map = new Int32Array(n ** 3);
+        for (let x = 0; x < n; x++) {
+          for (let y = 0; y < n; y++) {
+            for (let z = 0; z < n; z++) {
+              const c = [x, y, z];
+              const t = perm.map((axis, i) => (flips & (1 << i) ? n - 1 - c[axis] : c[axis]));
+              map[this._cellIndex(x, y, z)] = this._cellIndex(t[0], t[1], t[2]);
+            }
+          }
+        }
+        symmetries.push(map);
+      }
+    }
+    return symmetries;
+  }
+
+  /**
+   * Board seen from `player` ('A' own, 'B' opponent, '.' empty) under the
+   * symmetry that gives the smallest string. Equivalent positions share
+   * the same key. Returns { key, symmetry } with the cell map used.
+   */
+  canonicalize(player) {
+    const cells = new Array(this.size ** 3);
+    for (let x = 0; x < this.size; x++) {
+      for (let y = 0; y < this.size; y++) {
+        for (let z = 0; z < this.size; z++) {
+          const cell = this.grid[x][y][z];
+          cells[this._cellIndex(x, y, z)] = cell === null ? '.' : cell === player ? 'A' : 'B';
+        }
+      }
+    }
+    return this._canonicalizeCells(cells);
+  }
+
+  _canonicalizeCells(cells) {
+    let best = null;
+    const out = new Array(cells.length);
+
+    for (const symmetry of this.symmetries) {
+      for (let i = 0; i < cells.length; i++) {
+        out[symmetry[i]] = cells[i];
+      }
+      const key = out.join('');
+      if (best === null || key < best.key) {
+        best = { key, symmetry };
+      }
+    }
+    return best;
+  }
+
+  // Canonical key → reply cell index in the canonical frame
+  _buildOpeningBook() {
+    const book = new Map();
+    if (this.rules === RULES.GRAVITY && this.gravityAxis !== 'y') return book;
+
+    for (const entry of OPENING_BOOK[`${this.size}-${this.rules}`] ?? []) {
+      const cells = new Array(this.size ** 3).fill('.');
+      entry.own.forEach(([x, y, z]) => (cells[this._cellIndex(x, y, z)] = 'A'));
+      entry.opponent.forEach(([x, y, z]) => (cells[this._cellIndex(x, y, z)] = 'B'));
+
+      const { key, symmetry } = this._canonicalizeCells(cells);
+      book.set(key, symmetry[this._cellIndex(...entry.reply)]);
+    }
+    return book;
+  }
+
+  /**
+   * Opening book reply for `player` in the current position, or null.
+   */
+  getBookMove(player) {
+    if (this.openingBook.size === 0) return null;
+
+    const { key, symmetry } = this.canonicalize(player);
+    const reply = this.openingBook.get(key);
+    if (reply === undefined) return null;
+
+    // Map the reply back from the canonical frame
+    const move = this._cellFromIndex(symmetry.indexOf(reply));
+    return this.isLegalMove(move.x, move.y, move.z) ? move : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transposition table (symmetry-aware Zobrist hash)
+  // ---------------------------------------------------------------------------
+
+  // One hash pair per symmetry, for the current board
+  _initSearchHashes() {
+    const count = this.symmetries.length;
+    this.searchHashes = [new Int32Array(count), new Int32Array(count)];
+
+    for (let x = 0; x < this.size; x++) {
+      for (let y = 0; y < this.size; y++) {
+        for (let z = 0; z < this.size; z++) {
+          const cell = this.grid[x][y][z];
+          if (cell !== null) this._toggleHash(x, y, z, cell);
+        }
+      }
+    }
+
+    if (this.transpositions.size > MAX_TRANSPOSITIONS) {
+      this.transpositions.clear();
+    }
+  }
+
+  // XOR a piece in or out of every symmetric hash
+  _toggleHash(x, y, z, player) {
+    const index = this._cellIndex(x, y, z);
+    const [keys1, keys2] = this.zobrist[player];
+    const [hashes1, hashes2] = this.searchHashes;
+
+    for (let s = 0; s < this.symmetries.length; s++) {
+      const target = this.symmetries[s][index];
+      hashes1[s] ^= keys1[target];
+      hashes2[s] ^= keys2[target];
+    }
+  }
+
+  // Smallest hash over all symmetries, with the side to move folded in
+  _positionKey(player) {
+    const [hashes1, hashes2] = this.searchHashes;
+    const side = player === 'X' ? 0x5bd1e995 : 0;
+    let best = Infinity;
+
+    for (let s = 0; s < hashes1.length; s++) {
+      const key = ((hashes1[s] ^ side) >>> 0) * 0x200000 + (hashes2[s] >>> 11);
+      if (key < best) best = key;
+    }
+    return best;
+  }
+
+  // Win scores depend on the ply they were found at; store them relative to the node
+  _toTableScore(score, ply) {
+    if (score > WIN_SCORE - 1000) return score + ply;
+    if (score < -(WIN_SCORE - 1000)) return score - ply;
+    return score;
+  }
+
+  _fromTableScore(score, ply) {
+    if (score > WIN_SCORE - 1000) return score - ply;
+    if (score < -(WIN_SCORE - 1000)) return score + ply;
+    return score;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Search (negamax + alpha-beta, iterative deepening under a time budget)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Deepen one ply at a time until maxDepth or the time budget runs out,
+   * keeping the best move of the last fully searched depth. Used by the
+   * 'search' strategy (see AIStrategies.js).
+   */
+  findSearchMove(player, { maxDepth, timeBudgetMs }) {
+    return this._createSearch(player, { maxDepth, timeBudgetMs }).step().move;
+  }
+
+  /**
+   * Internal: the same search, resumable. Each step(sliceMs) searches for
+   * at most sliceMs (and the remaining budget) and returns { done, move }.
+   * A depth cut off by the slice is searched again on the next step;
+   * the transposition table keeps the work already done.
+   * The board must not change between steps.
+   */
+  _createSearch(player, { maxDepth, timeBudgetMs }) {
+    const moves = this._getOrderedMoves(player);
+    const opponent = player === 'X' ? 'O' : 'X';
+
+    let bestMove = moves[0] ?? null;
+    let depth = 1;
+    let spent = 0;
+    let done = moves.length === 0;
+
+    const result = () => ({
+      done,
+      move: done && bestMove ? { x: bestMove.x, y: bestMove.y, z: bestMove.z } : null
+    });
+
+    const step = (sliceMs = Infinity) => {
+      if (done) return result();
+
+      const start = performance.now();
+      const search = {
+        deadline: start + Math.min(sliceMs, timeBudgetMs - spent),
+        aborted: false
+      };
+      this._initSearchHashes();
+
+      while (!done) {
+        let alpha = -Infinity;
+        let depthBest = null;
+
+        for (const move of moves) {
+          const score = this._scoreMove(move, player, opponent, depth, alpha, Infinity, 1, search);
+          if (search.aborted) break;
+
+          if (score > alpha) {
+            alpha = score;
+            depthBest = move;
+          }
+        }
+
+        if (search.aborted) break;
+        bestMove = depthBest;
+
+        // Search the best move first next time round
+        moves.splice(moves.indexOf(depthBest), 1);
+        moves.unshift(depthBest);
+
+        // Forced win or loss found, deeper search can't change it
+        if (depth >= maxDepth || Math.abs(alpha) >= WIN_SCORE - maxDepth) done = true;
+        depth++;
+      }
+
+      spent += performance.now() - start;
+      if (spent >= timeBudgetMs) done = true;
+      return result();
+    };
+
+    return { step };
+  }
+
+  /**
+   * Internal: play `move` for `player`, score it from `player`'s side, undo it.
+   */
+  _scoreMove(move, player, opponent, depth, alpha, beta, ply, search) {
+    const { x, y, z } = move;
+    this.grid[x][y][z] = player;
+
+    let score;
+    if (this.completesLine(x, y, z, player)) {
+      score = WIN_SCORE - ply; // prefer faster wins
+    } else {
+      this._toggleHash(x, y, z, player);
+      score = -this._negamax(opponent, player, depth - 1, -beta, -alpha, ply + 1, search);
+      this._toggleHash(x, y, z, player);
+    }
+
+    this.grid[x][y][z] = null;
+    return score;
+  }
+
+  _negamax(player, opponent, depth, alpha, beta, ply, search) {
+    if (performance.now() > search.deadline) {
+      search.aborted = true;
+      return 0;
+    }
+
+    if (depth === 0) {
+      return this._scoreBoard(player);
+    }
+
+    // Same position (or a symmetric one) already searched deep enough?
+    const key = this._positionKey(player);
+    const entry = this.transpositions.get(key);
+    if (entry && entry.depth >= depth) {
+      const score = this._fromTableScore(entry.score, ply);
+      if (entry.flag === TT_EXACT) return score;
+      if (entry.flag === TT_LOWER && score >= beta) return score;
+      if (entry.flag === TT_UPPER && score <= alpha) return score;
+    }
+
+    let moves = this._getOrderedMoves(player);
+    if (moves.length === 0) return 0; // draw
+
+    // Forcing positions: win now, lose to two threats, or block the only
+    // one. A forced block doesn't use up depth, so threat sequences are
+    // followed past the horizon at almost no cost.
+    if (moves[0].urgency === MOVE_URGENCY.WIN) return WIN_SCORE - ply;
+    const blocks = moves.filter((move) => move.urgency === MOVE_URGENCY.BLOCK);
+    if (blocks.length > 1) return -(WIN_SCORE - ply - 1);
+    if (blocks.length === 1) {
+      moves = blocks;
+      depth++;
+    }
+
+    const alphaStart = alpha;
+    let best = -Infinity;
+    for (const move of moves) {
+      const score = this._scoreMove(move, player, opponent, depth, alpha, beta, ply, search);
+      if (search.aborted) return 0;
+
+      if (score > best) best = score;
+      if (best > alpha) alpha = best;
+      if (alpha >= beta) break;
+    }
+
+    let flag = TT_EXACT;
+    if (best <= alphaStart) flag = TT_UPPER;
+    else if (best >= beta) flag = TT_LOWER;
+    this.transpositions.set(key, { depth, score: this._toTableScore(best, ply), flag });
+
+    return best;
+  }
+
+  /**
+   * Internal: legal cells for alpha-beta to try, most promising first:
+   * wins, blocks, forks, cells that stop the opponent's forks, then the
+   * rest by evaluatePosition's score (see _rateMove).
+   */
+  _getOrderedMoves(player) {
+    const moves = [];
+    for (let x = 0; x < this.size; x++) {
+      for (let y = 0; y < this.size; y++) {
+        for (let z = 0; z < this.size; z++) {
+          if (!this.isLegalMove(x, y, z)) continue;
+          moves.push({ x, y, z, ...this._rateMove(x, y, z, player) });
+        }
+      }
+    }
+    return moves.sort((a, b) => b.urgency - a.urgency || b.score - a.score);
+  }
+
+  /**
+   * Internal: evaluatePosition's score for a free cell in one pass without
+   * allocations (it runs at every search node), plus how forcing the move
+   * is (see MOVE_URGENCY).
+   */
+  _rateMove(x, y, z, player) {
+    const n = this.size;
+    let score = this._cellBonus(x, y, z);
+    let win = false;
+    let block = false;
+    let threats = 0;
+    let opponentThreats = 0;
+
+    for (const line of this.cellLines[this._cellIndex(x, y, z)]) {
+      let own = 0;
+      let other = 0;
+      for (const c of line) {
+        const cell = this.grid[c.x][c.y][c.z];
+        if (cell === player) own++;
+        else if (cell !== null) other++;
+      }
+
+      if (other === 0) {
+        if (own === n - 1) win = true;
+        else if (own === n - 2) threats++;
+        score += own > 0 ? 50 * own : 30;
+      } else if (own === 0) {
+        if (other === n - 1) block = true;
+        else if (other === n - 2) opponentThreats++;
+        score += 40 * other;
+      }
+    }
+
+    let urgency = MOVE_URGENCY.NONE;
+    if (win) urgency = MOVE_URGENCY.WIN;
+    else if (block) urgency = MOVE_URGENCY.BLOCK;
+    else if (threats >= 2) urgency = MOVE_URGENCY.FORK;
+    else if (opponentThreats >= 2) urgency = MOVE_URGENCY.FORK_BLOCK;
+    return { urgency, score };
+  }
+
+  /**
+   * Whether `player` already holds every cell of some line through (x, y, z),
+   * i.e. a piece there completes it. Call with the piece placed.
+   */
+  completesLine(x, y, z, player) {
+    return this._getLinesThrough(x, y, z).some((line) =>
+      line.every((c) => c === player)
+    );
+  }
+
+  /**
+   * Internal: static score of the board for `player`, the side to move.
+   * Open lines count more the more pieces they hold; a threat `player`
+   * can complete, or two opponent threats, decide the game next turn.
+   * A single opponent threat is as good as blocked, so it earns nothing:
+   * otherwise the search would push pointless threats to the horizon.
+   */
+  _scoreBoard(player) {
+    const n = this.size;
+    let score = 0;
+    let ownThreat = false;
+    const opponentThreats = new Set();
+    let threatLines = 0;
+
+    for (const line of this.lines) {
+      let own = 0;
+      let other = 0;
+      let empty = null;
+      for (const c of line) {
+        const cell = this.grid[c.x][c.y][c.z];
+        if (cell === player) own++;
+        else if (cell !== null) other++;
+        else empty = c;
+      }
+
+      if (other === 0 && own > 0) score += Math.pow(10, own - 1);
+      else if (own === 0 && other > 0) score -= Math.pow(10, other - 1);
+
+      // Only cells that can be played now (gravity) are real threats
+      if (own + other === n - 1 && this.isLegalMove(empty.x, empty.y, empty.z)) {
+        if (other === 0) ownThreat = true;
+        else if (own === 0) {
+          opponentThreats.add(this._cellIndex(empty.x, empty.y, empty.z));
+          threatLines++;
+        }
+      }
+    }
+
+    if (ownThreat) return score + THREAT_SCORE;
+    if (opponentThreats.size >= 2) return score - THREAT_SCORE;
+    return score + threatLines * Math.pow(10, n - 2);
+  }
 }
@@ -1,40 +1,76 @@
 import * as THREE from 'three';
 
+// Per-hand pinch gesture: undecided until it is released as a tap
+// or turns into a drag
+const GESTURE = {
+  IDLE: 'idle',
+  PENDING: 'pending',
+  DRAG: 'drag'
+};
+
 export class HandInput {
   constructor(
     renderer,
     scene,
-    { chairRotationSpeed = 4.0, maxUpDownRotation = Math.PI / 3 } = {}
+    {
+      chairRotationSpeed = 4.0,
+      maxUpDownRotation = Math.PI / 3,
+      tapMaxTravel = 0.03,
+      tapMaxDuration = 350
+    } = {}
   ) {
     this.renderer = renderer;
     this.scene = scene;
     this.chairRotationSpeed = chairRotationSpeed;
     this.maxUpDownRotation = maxUpDownRotation;
 
+    // Gesture thresholds: a pinch released before moving tapMaxTravel (m)
+    // and within tapMaxDuration (ms) is a tap, anything else a drag
+    this.tapMaxTravel = tapMaxTravel;
+    this.tapMaxDuration = tapMaxDuration;
+
     // Callbacks
     this.onPlaceO = null;
+    this.onRotateStart = null;
     this.onRotate = null;
+    this.onRotateEnd = null;
+    this.onTwoHandPinch = null;
     this.onButtonHit = null;
+    this.onHover = null;
 
     this.buttonPlane = null;
 
+    // Extra touch buttons: { plane, callback, wasHit }
+    this.touchButtons = [];
+
     // Hands
     this.leftHand = this.renderer.xr.getHand(0);
     this.rightHand = this.renderer.xr.getHand(1);
     this.scene.add(this.leftHand);
     this.scene.add(this.rightHand);
 
-    // Internal pinch/rotation state
-    this.leftRotationActive = false;
-    this.rightRotationActive = false;
-    this.lastLeftX = 0;
-    this.lastLeftY = 0;
-    this.lastRightX = 0;
-    this.lastRightY = 0;
+    // Internal pinch/rotation state, per hand
+    this.pinches = {
+      left: this._createPinchState(),
+      right: this._createPinchState()
+    };
+
+    // Both hands dragging at once: spread / squeeze instead of rotating
+    this.twoHandActive = false;
+    this.twoHandStartDistance = 0;
 
     this._initJointRefs();
   }
 
+  _createPinchState() {
+    return {
+      gesture: GESTURE.IDLE,
+      startTime: 0,
+      start: new THREE.Vector3(), // thumb position when the pinch began
+      last: new THREE.Vector3()   // thumb position on the latest pinching frame
+    };
+  }
+
   // -----------------------------------
   // Setup tiny joint proxies
   // -----------------------------------
@@ -70,21 +106,54 @@ export class HandInput {
     this.onPlaceO = cb;
   }
 
+  setRotateStartCallback(cb) {
+    this.onRotateStart = cb;
+  }
+
   setRotateCallback(cb) {
     this.onRotate = cb;
   }
 
+  setRotateEndCallback(cb) {
+    this.onRotateEnd = cb;
+  }
+
+  /**
+   * cb({ scale }) every frame while both hands pinch-drag; scale is the
+   * distance between the hands relative to when the second hand joined.
+   */
+  setTwoHandPinchCallback(cb) {
+    this.onTwoHandPinch = cb;
+  }
+
   setButtonHitCallback(cb) {
     this.onButtonHit = cb;
   }
 
+  /**
+   * cb([{ hand, thumbWorldPos, dragging }]) every frame, one entry per
+   * tracked hand, so the board can preview the cell a release would pick.
+   */
+  setHoverCallback(cb) {
+    this.onHover = cb;
+  }
+
+  /**
+   * Register a plane that fires `cb` once each time a fingertip touches it.
+   */
+  addTouchButton(plane, cb) {
+    this.touchButtons.push({ plane, callback: cb, wasHit: false });
+  }
+
   // -----------------------------------
   // Per-frame update
   // -----------------------------------
   update() {
     this._updateHands();
     this._processPinches();
+    this._processHover();
     this._processButtonHit();
+    this._processTouchButtons();
   }
 
   // -----------------------------------
@@ -109,72 +178,112 @@ export class HandInput {
   }
 
   // -----------------------------------
-  // Pinch → place O + rotate board
+  // Pinch gestures: tap → place O, drag → rotate board
   // -----------------------------------
   _processPinches() {
     this._handleHandPinch('left', this.lThumbObj, this.lIndexObj);
     this._handleHandPinch('right', this.rThumbObj, this.rIndexObj);
+    this._handleTwoHandPinch();
+  }
+
+  _handleTwoHandPinch() {
+    const bothDragging =
+      this.pinches.left.gesture === GESTURE.DRAG && this.pinches.right.gesture === GESTURE.DRAG;
+    const distance = this.lThumbObj.position.distanceTo(this.rThumbObj.position);
+
+    if (!bothDragging) {
+      this.twoHandActive = false;
+      return;
+    }
+
+    if (!this.twoHandActive) {
+      this.twoHandActive = true;
+      this.twoHandStartDistance = Math.max(distance, 0.001);
+    }
+
+    this.onTwoHandPinch?.({ scale: distance / this.twoHandStartDistance });
   }
 
   _handleHandPinch(handName, thumbObj, indexObj) {
-    const dist = thumbObj.position.distanceTo(indexObj.position);
+    const state = this.pinches[handName];
+    const pos = thumbObj.position;
+    const dist = pos.distanceTo(indexObj.position);
     const isPinching = dist < 0.02;
+    const now = performance.now();
 
     if (isPinching) {
-      if (handName === 'left') {
-        if (!this.leftRotationActive) {
-          // Pinch just started (left hand)
-          this.leftRotationActive = true;
-          this.lastLeftX = thumbObj.position.x;
-          this.lastLeftY = thumbObj.position.y;
-
-          // Fire place-O ONCE at pinch start
-          this.onPlaceO?.({
-            hand: handName,
-            thumbWorldPos: thumbObj.position.clone()
-          });
-        } else {
-          // Ongoing pinch → rotation deltas
-          const dx = thumbObj.position.x - this.lastLeftX;
-          const dy = thumbObj.position.y - this.lastLeftY;
-          this._emitRotate(dx, dy);
-          this.lastLeftX = thumbObj.position.x;
-          this.lastLeftY = thumbObj.position.y;
-        }
-      } else {
-        if (!this.rightRotationActive) {
-          // Pinch just started (right hand)
-          this.rightRotationActive = true;
-          this.lastRightX = thumbObj.position.x;
-          this.lastRightY = thumbObj.position.y;
-
-          // Fire place-O ONCE at pinch start
-          this.onPlaceO?.({
-            hand: handName,
-            thumbWorldPos: thumbObj.position.clone()
-          });
-        } else {
-          // Ongoing pinch → rotation deltas
-          const dx = thumbObj.position.x - this.lastRightX;
-          const dy = thumbObj.position.y - this.lastRightY;
-          this._emitRotate(dx, dy);
-          this.lastRightX = thumbObj.position.x;
-          this.lastRightY = thumbObj.position.y;
+      if (state.gesture === GESTURE.IDLE) {
+        // Pinch just started: could still be a tap
+        state.gesture = GESTURE.PENDING;
+        state.startTime = now;
+        state.start.copy(pos);
+        state.last.copy(pos);
+        return;
+      }
+
+      if (state.gesture === GESTURE.PENDING) {
+        const moved = pos.distanceTo(state.start) >= this.tapMaxTravel;
+        const held = now - state.startTime > this.tapMaxDuration;
+        if (!moved && !held) {
+          state.last.copy(pos);
+          return;
         }
+
+        // Became a drag: rotate from where the pinch began so no motion is lost
+        state.gesture = GESTURE.DRAG;
+        state.last.copy(state.start);
+        this.onRotateStart?.({ hand: handName });
       }
-    } else {
-      // Pinch ended
-      if (handName === 'left') {
-        this.leftRotationActive = false;
-      } else {
-        this.rightRotationActive = false;
+
+      // Ongoing drag → rotation deltas (not while both hands spread / squeeze)
+      if (!this.twoHandActive) {
+        this._emitRotate(handName, pos.x - state.last.x, pos.y - state.last.y);
       }
+      state.last.copy(pos);
+      return;
+    }
+
+    if (state.gesture === GESTURE.PENDING) {
+      // Quick, still pinch released → place where the hand was
+      this.onPlaceO?.({
+        hand: handName,
+        thumbWorldPos: state.last.clone()
+      });
+    } else if (state.gesture === GESTURE.DRAG) {
+      this.onRotateEnd?.({ hand: handName });
     }
+    state.gesture = GESTURE.IDLE;
   }
 
-  _emitRotate(deltaX, deltaY) {
+  // -----------------------------------
+  // Hover (where a pinch-release would place)
+  // -----------------------------------
+  _processHover() {
+    if (!this.onHover) return;
+
+    const hands = [
+      { hand: 'left', xrHand: this.leftHand, thumbObj: this.lThumbObj },
+      { hand: 'right', xrHand: this.rightHand, thumbObj: this.rThumbObj }
+    ];
+
+    const points = hands
+      .filter(({ xrHand }) => xrHand?.joints?.['thumb-tip'])
+      .map(({ hand, thumbObj }) => {
+        const state = this.pinches[hand];
+        return {
+          hand,
+          thumbWorldPos: thumbObj.position.clone(),
+          dragging: state.gesture === GESTURE.DRAG
+        };
+      });
+
+    this.onHover(points);
+  }
+
+  _emitRotate(hand, deltaX, deltaY) {
     if (Math.abs(deltaX) < 0.001 && Math.abs(deltaY) < 0.001) return;
     this.onRotate?.({
+      hand,
       deltaX,
       deltaY,
       speed: this.chairRotationSpeed,
@@ -205,6 +314,25 @@ export class HandInput {
     check(rh);
   }
 
+  _processTouchButtons() {
+    if (this.touchButtons.length === 0) return;
+
+    const tips = [this.leftHand, this.rightHand]
+      .map((hand) => hand?.joints?.['index-finger-tip'])
+      .filter(Boolean)
+      .map((joint) => new THREE.Vector3().copy(joint.position));
+
+    for (const button of this.touchButtons) {
+      const isHit = tips.some((p) => this._checkPlaneIntersection(p, button.plane));
+
+      // Fire on touch start only, not every frame the finger stays inside
+      if (isHit && !button.wasHit) {
+        button.callback();
+      }
+      button.wasHit = isHit;
+    }
+  }
+
   _checkPlaneIntersection(point, plane) {
     if (!plane.visible || plane.scale.x === 0) return false;
 
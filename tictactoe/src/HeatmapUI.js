@@ -0,0 +1,99 @@
+import * as THREE from 'three';
+
+import { HEATMAP_COLORS } from './BoardView.js';
+import {
+  createTextButton,
+  setTextButtonActive,
+  popTextButton,
+  showTextButtons
+} from './TextButton.js';
+
+const LEGEND = [
+  { label: 'WIN', color: HEATMAP_COLORS.win },
+  { label: 'BLOCK', color: HEATMAP_COLORS.block },
+  { label: 'STRONG', color: HEATMAP_COLORS.high },
+  { label: 'WEAK', color: HEATMAP_COLORS.low }
+];
+
+const LINE_HEIGHT = 0.032;
+
+/**
+ * HEATMAP toggle beside the board plus a color legend, shown while
+ * the overlay is on. The overlay itself is drawn by BoardView.
+ */
+export class HeatmapUI {
+  constructor(parent) {
+    this.parent = parent;
+    this.isActive = false;
+    this.isShown = false;
+    this.toggleCallback = null;
+
+    this.togglePlane = createTextButton(parent, {
+      label: 'HEATMAP',
+      width: 0.1,
+      position: [-0.27, -0.14, 0],
+      textSize: 0.01
+    });
+
+    // Label planes with a color swatch on their left edge
+    this.legendPlanes = LEGEND.map(({ label, color }, i) => {
+      const plane = createTextButton(parent, {
+        label,
+        width: 0.1,
+        height: 0.028,
+        position: [-0.27, -0.14 - (i + 1) * LINE_HEIGHT, 0],
+        textSize: 0.009
+      });
+
+      const swatch = new THREE.Mesh(
+        new THREE.CircleGeometry(0.007, 16),
+        new THREE.MeshBasicMaterial({ color })
+      );
+      swatch.position.set(-0.038, 0, 0.002);
+      plane.add(swatch);
+
+      return plane;
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // API used by main.js
+  // ---------------------------------------------------------------------------
+
+  getTogglePlane() {
+    return this.togglePlane;
+  }
+
+  onToggle(cb) {
+    this.toggleCallback = cb;
+  }
+
+  triggerTogglePress() {
+    if (!this.isShown) return;
+    popTextButton(this.togglePlane);
+    this.setActive(!this.isActive);
+    this.toggleCallback?.(this.isActive);
+  }
+
+  /**
+   * Highlight the toggle and show / hide the legend.
+   */
+  setActive(active) {
+    this.isActive = active;
+    setTextButtonActive(this.togglePlane, active);
+    showTextButtons(this.legendPlanes, active && this.isShown);
+  }
+
+  show() {
+    if (this.isShown) return;
+    this.isShown = true;
+    showTextButtons([this.togglePlane], true);
+    if (this.isActive) showTextButtons(this.legendPlanes, true);
+  }
+
+  hide() {
+    if (!this.isShown) return;
+    this.isShown = false;
+    showTextButtons([this.togglePlane, ...this.legendPlanes], false);
+  }
+}
@@ -0,0 +1,111 @@
+// Best-of-N series: round results, who starts next, and persistence so the
+// totals survive a page reload.
+
+const STORAGE_KEY = 'tictactoe.series';
+
+export const SERIES_LENGTHS = [1, 3, 5, 7];
+
+export class MatchSeries {
+  constructor({ bestOf = 1 } = {}) {
+    this.bestOf = bestOf;
+    this.results = []; // per finished round: 'O' | 'X' | 'draw'
+  }
+
+  /**
+   * Restore the saved series, or start an empty one.
+   */
+  static load() {
+    const series = new MatchSeries();
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (saved && SERIES_LENGTHS.includes(saved.bestOf) && Array.isArray(saved.results)) {
+        series.bestOf = saved.bestOf;
+        series.results = saved.results.filter((r) => ['O', 'X', 'draw'].includes(r));
+      }
+    } catch (err) {
+      console.warn('Could not read saved series:', err);
+    }
+    return series;
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        STORAGE_KEY,
+        JSON.stringify({ bestOf: this.bestOf, results: this.results })
+      );
+    } catch (err) {
+      console.warn('Could not save series:', err);
+    }
+  }
+
+  /**
+   * Start a fresh series of `bestOf` rounds.
+   */
+  start(bestOf = this.bestOf) {
+    this.bestOf = bestOf;
+    this.results = [];
+    this.save();
+  }
+
+  recordResult(winner) {
+    if (this.isOver()) return;
+    this.results.push(winner);
+    this.save();
+  }
+
+  /**
+   * Take back the last round's result (used when its final move is undone).
+   */
+  undoLastResult() {
+    this.results.pop();
+    this.save();
+  }
+
+  getWins(player) {
+    return this.results.filter((r) => r === player).length;
+  }
+
+  getDraws() {
+    return this.results.filter((r) => r === 'draw').length;
+  }
+
+  /**
+   * 1-based number of the round being played (or the last one, once over).
+   */
+  getRound() {
+    return this.isOver() ? this.results.length : this.results.length + 1;
+  }
+
+  winsNeeded() {
+    return Math.floor(this.bestOf / 2) + 1;
+  }
+
+  getWinner() {
+    if (this.getWins('O') >= this.winsNeeded()) return 'O';
+    if (this.getWins('X') >= this.winsNeeded()) return 'X';
+    return null;
+  }
+
+  /**
+   * Over once someone has a majority. Draws don't count towards it,
+   * so a series with many draws just keeps going.
+   */
+  isOver() {
+    return this.getWinner() !== null;
+  }
+
+  /**
+   * Some results recorded and the series is not finished yet.
+   */
+  isInProgress() {
+    return this.results.length > 0 && !this.isOver();
+  }
+
+  /**
+   * O starts odd rounds, X starts even rounds.
+   */
+  getStartingPlayer() {
+    return this.results.length % 2 === 0 ? 'O' : 'X';
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Client side of the online protocol (see server/relay-server.js).
+ * The server validates every move; the game applies moves only when
+ * they come back through onMove, so both headsets stay in sync.
+ */
+export class NetworkClient {
+  constructor(url) {
+    this.url = url;
+    this.socket = null;
+
+    this.room = null;
+    this.player = null; // 'O' | 'X' once joined
+
+    // Callbacks
+    this.onJoined = null;       // ({ room, player, size })
+    this.onStart = null;        // ({ startingPlayer })
+    this.onMove = null;         // ({ x, y, z, player })
+    this.onGameOver = null;     // ({ winner, reason, winningLine })
+    this.onRematch = null;      // ({ player })
+    this.onOpponentLeft = null; // ()
+    this.onError = null;        // (message)
+    this.onClose = null;        // ()
+  }
+
+  connect(room, size) {
+    this.disconnect();
+    this.room = room;
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      this._send({ type: 'join', room, size });
+    });
+
+    // Events from a socket dropped by disconnect() are ignored
+    socket.addEventListener('message', (event) => {
+      if (this.socket !== socket) return;
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (err) {
+        console.error('NetworkClient: invalid message', event.data);
+        return;
+      }
+      this._handleMessage(message);
+    });
+
+    socket.addEventListener('close', () => {
+      if (this.socket !== socket) return;
+      this.onClose?.();
+    });
+
+    socket.addEventListener('error', (err) => {
+      console.error('NetworkClient: socket error', err);
+    });
+  }
+
+  /** Drop the connection (no onClose), e.g. after the server refused the join */
+  disconnect() {
+    const socket = this.socket;
+    this.socket = null;
+    this.room = null;
+    this.player = null;
+    socket?.close();
+  }
+
+  sendMove(x, y, z) {
+    this._send({ type: 'move', x, y, z });
+  }
+
+  resign() {
+    this._send({ type: 'resign' });
+  }
+
+  requestRematch() {
+    this._send({ type: 'rematch' });
+  }
+
+  _send(message) {
+    if (this.socket?.readyState !== WebSocket.OPEN) return;
+    this.socket.send(JSON.stringify(message));
+  }
+
+  _handleMessage(message) {
+    switch (message.type) {
+      case 'joined':
+        this.player = message.player;
+        this.onJoined?.(message);
+        break;
+      case 'start':
+        this.onStart?.(message);
+        break;
+      case 'move':
+        this.onMove?.(message);
+        break;
+      case 'gameOver':
+        this.onGameOver?.(message);
+        break;
+      case 'rematch':
+        this.onRematch?.(message);
+        break;
+      case 'opponentLeft':
+        this.onOpponentLeft?.();
+        break;
+      case 'error':
+        console.warn('NetworkClient: server error:', message.message);
+        this.onError?.(message.message);
+        break;
+      default:
+        console.warn('NetworkClient: unknown message', message);
+    }
+  }
+}
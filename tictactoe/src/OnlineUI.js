@@ -0,0 +1,99 @@
+import {
+  createTextButton,
+  setTextButtonLabel,
+  popTextButton,
+  showTextButtons
+} from './TextButton.js';
+
+/**
+ * Status line ("YOUR TURN", "WAITING FOR OPPONENT", ...) and a RESIGN
+ * button for online games. The status sits under the board, with a
+ * RETRY button below it once the connection is lost or refused.
+ */
+export class OnlineUI {
+  constructor(parent) {
+    this.parent = parent;
+
+    // Label only, never registered as a touch button
+    this.statusPlane = createTextButton(parent, {
+      label: 'CONNECTING',
+      width: 0.32,
+      position: [0, -0.37, 0]
+    });
+
+    this.resignPlane = createTextButton(parent, {
+      label: 'RESIGN',
+      width: 0.06,
+      position: [-0.17, 0.04, 0],
+      textSize: 0.009
+    });
+    this.resignCallback = null;
+    this.resignShown = false;
+
+    this.retryPlane = createTextButton(parent, {
+      label: 'RETRY',
+      width: 0.06,
+      position: [0, -0.42, 0],
+      textSize: 0.009
+    });
+    this.retryCallback = null;
+    this.retryShown = false;
+  }
+
+  // ---------------------------------------------------------------------------
+  // API used by main.js
+  // ---------------------------------------------------------------------------
+
+  setStatus(text) {
+    if (this.statusPlane.userData.labelText !== text) {
+      setTextButtonLabel(this.statusPlane, text);
+    }
+    if (this.statusPlane.scale.x === 0) {
+      showTextButtons([this.statusPlane], true);
+    }
+  }
+
+  hideStatus() {
+    showTextButtons([this.statusPlane], false);
+  }
+
+  getResignPlane() {
+    return this.resignPlane;
+  }
+
+  onResign(cb) {
+    this.resignCallback = cb;
+  }
+
+  triggerResignPress() {
+    if (!this.resignShown) return;
+    popTextButton(this.resignPlane);
+    this.resignCallback?.();
+  }
+
+  showResign(visible) {
+    if (this.resignShown === visible) return;
+    this.resignShown = visible;
+    showTextButtons([this.resignPlane], visible);
+  }
+
+  getRetryPlane() {
+    return this.retryPlane;
+  }
+
+  onRetry(cb) {
+    this.retryCallback = cb;
+  }
+
+  triggerRetryPress() {
+    if (!this.retryShown) return;
+    popTextButton(this.retryPlane);
+    this.retryCallback?.();
+  }
+
+  showRetry(visible) {
+    if (this.retryShown === visible) return;
+    this.retryShown = visible;
+    showTextButtons([this.retryPlane], visible);
+  }
+}
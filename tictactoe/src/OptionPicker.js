@@ -0,0 +1,96 @@
+import {
+  createTextButton,
+  setTextButtonActive,
+  popTextButton,
+  showTextButtons
+} from './TextButton.js';
+
+/**
+ * A row of text buttons where exactly one option is selected,
+ * e.g. the difficulty or game mode shown before a round.
+ */
+export class OptionPicker {
+  constructor(
+    parent,
+    {
+      options,
+      initialValue = options[0].value,
+      y = 0.04,
+      width = 0.08,
+      spacing = 0.09,
+      textSize = 0.012
+    }
+  ) {
+    this.parent = parent;
+    this.selectedValue = initialValue;
+    this.selectCallback = null;
+
+    this.buttons = []; // { value, plane }
+    this.isShown = false;
+
+    this._createButtons(options, { y, width, spacing, textSize });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Setup
+  // ---------------------------------------------------------------------------
+  _createButtons(options, { y, width, spacing, textSize }) {
+    const offset = (options.length - 1) / 2;
+
+    options.forEach(({ value, label }, i) => {
+      const plane = createTextButton(this.parent, {
+        label,
+        width,
+        position: [(i - offset) * spacing, y, 0],
+        textSize
+      });
+      setTextButtonActive(plane, value === this.selectedValue);
+
+      this.buttons.push({ value, plane });
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // API used by main.js
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Returns [{ value, plane }] so HandInput can register each plane as a button.
+   */
+  getButtonPlanes() {
+    return this.buttons.map(({ value, plane }) => ({ value, plane }));
+  }
+
+  onSelect(cb) {
+    this.selectCallback = cb;
+  }
+
+  select(value) {
+    if (!this.isShown) return;
+
+    this.selectedValue = value;
+    for (const button of this.buttons) {
+      setTextButtonActive(button.plane, button.value === value);
+    }
+
+    // Small pop on the chosen button
+    const button = this.buttons.find((b) => b.value === value);
+    if (button) {
+      popTextButton(button.plane);
+    }
+
+    this.selectCallback?.(value);
+  }
+
+  show() {
+    if (this.isShown) return;
+    this.isShown = true;
+    showTextButtons(this.buttons.map((b) => b.plane), true, { delay: 0.2 });
+  }
+
+  hide() {
+    if (!this.isShown) return;
+    this.isShown = false;
+    showTextButtons(this.buttons.map((b) => b.plane), false);
+  }
+}
@@ -0,0 +1,146 @@
+// "Win in N" puzzles loaded from JSON, plus which ones were solved.
+//
+// {
+//   version: 1,
+//   puzzles: [{
+//     id: 'double-threat',
+//     title: 'Double threat',
+//     size: 3,                       // cells per side
+//     rules: 'classic' | 'gravity',
+//     gravityAxis: 'y',              // optional, gravity puzzles only
+//     toMove: 'O' | 'X',             // the player's side, moves first
+//     winIn: 2,                      // moves of toMove, the winning one included
+//     pieces: { O: [[x,y,z]], X: [[x,y,z]] }
+//   }]
+// }
+
+import { RULES } from './GameState3D.js';
+
+export const PUZZLE_SET_VERSION = 1;
+export const DEFAULT_PUZZLES_URL = '/static/puzzles/puzzles.json';
+
+const STORAGE_KEY = 'tictactoe.puzzlesSolved';
+
+// Longest puzzle per board size: the forced-win check grows with
+// (cells)^(2 × winIn), so bigger boards only get shorter puzzles
+const MAX_WIN_IN = { 3: 3, 4: 2 };
+
+/**
+ * Validate a puzzle file (object or JSON string). Throws on anything malformed.
+ */
+export function parsePuzzleSet(data) {
+  const set = typeof data === 'string' ? JSON.parse(data) : data;
+
+  if (!set || set.version !== PUZZLE_SET_VERSION) {
+    throw new Error(`Invalid puzzle set: unsupported version ${set?.version}`);
+  }
+  if (!Array.isArray(set.puzzles)) {
+    throw new Error('Invalid puzzle set: puzzles must be an array');
+  }
+
+  set.puzzles.forEach(validatePuzzle);
+  return set.puzzles;
+}
+
+function validatePuzzle(puzzle, i) {
+  const fail = (reason) => {
+    throw new Error(`Invalid puzzle #${i + 1} (${puzzle?.id ?? 'no id'}): ${reason}`);
+  };
+
+  if (typeof puzzle?.id !== 'string') fail('missing id');
+  const maxWinIn = MAX_WIN_IN[puzzle.size];
+  if (!maxWinIn) fail(`bad board size ${puzzle.size}, puzzles are 3 or 4 cells per side`);
+  if (!Object.values(RULES).includes(puzzle.rules)) fail(`unknown rules ${puzzle.rules}`);
+  if (!['O', 'X'].includes(puzzle.toMove)) fail(`bad side to move ${puzzle.toMove}`);
+  if (!Number.isInteger(puzzle.winIn) || puzzle.winIn < 1 || puzzle.winIn > maxWinIn) {
+    fail(`bad move count ${puzzle.winIn}, at most ${maxWinIn} on a ${puzzle.size}-cell board`);
+  }
+
+  const inRange = (v) => Number.isInteger(v) && v >= 0 && v < puzzle.size;
+  const taken = new Set();
+
+  for (const player of ['O', 'X']) {
+    const cells = puzzle.pieces?.[player] ?? [];
+    if (!Array.isArray(cells)) fail(`pieces.${player} must be an array`);
+
+    for (const cell of cells) {
+      if (!Array.isArray(cell) || cell.length !== 3 || !cell.every(inRange)) {
+        fail(`bad ${player} piece ${JSON.stringify(cell)}`);
+      }
+      const key = cell.join(',');
+      if (taken.has(key)) fail(`two pieces on ${key}`);
+      taken.add(key);
+    }
+  }
+}
+
+/**
+ * The puzzles for one board size, in file order, with solved ones
+ * remembered in localStorage. Starts at the first unsolved puzzle.
+ */
+export class PuzzleSet {
+  constructor(puzzles) {
+    this.puzzles = puzzles;
+    this.solved = new Set(loadSolvedIds());
+
+    const firstUnsolved = puzzles.findIndex((p) => !this.solved.has(p.id));
+    this.index = Math.max(0, firstUnsolved);
+  }
+
+  /**
+   * Fetch and validate a puzzle file, keeping the puzzles for `size`.
+   */
+  static async fetch(url = DEFAULT_PUZZLES_URL, { size } = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load puzzles ${url}: ${response.status}`);
+    }
+
+    const puzzles = parsePuzzleSet(await response.json());
+    return new PuzzleSet(size ? puzzles.filter((p) => p.size === size) : puzzles);
+  }
+
+  current() {
+    return this.puzzles[this.index] ?? null;
+  }
+
+  /**
+   * Move on to the next puzzle, wrapping around after the last one.
+   */
+  next() {
+    if (this.puzzles.length === 0) return null;
+    this.index = (this.index + 1) % this.puzzles.length;
+    return this.current();
+  }
+
+  markSolved(id) {
+    this.solved.add(id);
+    saveSolvedIds([...this.solved]);
+  }
+
+  isSolved(id) {
+    return this.solved.has(id);
+  }
+
+  allSolved() {
+    return this.puzzles.every((p) => this.solved.has(p.id));
+  }
+}
+
+function loadSolvedIds() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (err) {
+    console.warn('Could not read puzzle progress:', err);
+    return [];
+  }
+}
+
+function saveSolvedIds(ids) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+  } catch (err) {
+    console.warn('Could not save puzzle progress:', err);
+  }
+}
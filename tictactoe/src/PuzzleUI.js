@@ -0,0 +1,114 @@
+import {
+  createTextButton,
+  setTextButtonLabel,
+  popTextButton,
+  showTextButtons
+} from './TextButton.js';
+
+/**
+ * Puzzle title and goal under the board ("PUZZLE 3/9 - DOUBLE THREAT",
+ * "WIN IN 2 MOVES"), plus HINT and SKIP beside where the reset button
+ * appears once the puzzle is solved.
+ */
+export class PuzzleUI {
+  constructor(parent) {
+    this.parent = parent;
+    this.isShown = false;
+    this.buttonsShown = false;
+
+    // Labels only, never registered as touch buttons
+    this.titlePlane = createTextButton(parent, {
+      label: 'PUZZLES',
+      width: 0.32,
+      position: [0, -0.37, 0]
+    });
+    this.statusPlane = createTextButton(parent, {
+      label: ' ',
+      width: 0.32,
+      position: [0, -0.41, 0],
+      textSize: 0.01
+    });
+
+    this.hintPlane = createTextButton(parent, {
+      label: 'HINT',
+      width: 0.06,
+      position: [-0.17, 0.04, 0],
+      textSize: 0.011
+    });
+    this.skipPlane = createTextButton(parent, {
+      label: 'SKIP',
+      width: 0.06,
+      position: [0.17, 0.04, 0],
+      textSize: 0.011
+    });
+
+    this.hintCallback = null;
+    this.skipCallback = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // API used by main.js
+  // ---------------------------------------------------------------------------
+
+  setTitle(text) {
+    if (this.titlePlane.userData.labelText !== text) {
+      setTextButtonLabel(this.titlePlane, text);
+    }
+  }
+
+  setStatus(text) {
+    if (this.statusPlane.userData.labelText !== text) {
+      setTextButtonLabel(this.statusPlane, text);
+    }
+  }
+
+  getHintPlane() {
+    return this.hintPlane;
+  }
+
+  getSkipPlane() {
+    return this.skipPlane;
+  }
+
+  onHint(cb) {
+    this.hintCallback = cb;
+  }
+
+  onSkip(cb) {
+    this.skipCallback = cb;
+  }
+
+  triggerHintPress() {
+    if (!this.buttonsShown) return;
+    popTextButton(this.hintPlane);
+    this.hintCallback?.();
+  }
+
+  triggerSkipPress() {
+    if (!this.buttonsShown) return;
+    popTextButton(this.skipPlane);
+    this.skipCallback?.();
+  }
+
+  /**
+   * HINT / SKIP are only offered while the puzzle is being played.
+   */
+  showButtons(visible) {
+    if (this.buttonsShown === visible) return;
+    this.buttonsShown = visible;
+    showTextButtons([this.hintPlane, this.skipPlane], visible);
+  }
+
+  show() {
+    if (this.isShown) return;
+    this.isShown = true;
+    showTextButtons([this.titlePlane, this.statusPlane], true);
+  }
+
+  hide() {
+    this.showButtons(false);
+    if (!this.isShown) return;
+    this.isShown = false;
+    showTextButtons([this.titlePlane, this.statusPlane], false);
+  }
+}
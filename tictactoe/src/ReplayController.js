@@ -0,0 +1,143 @@
+import gsap from 'gsap';
+
+import { RULES } from './GameState3D.js';
+
+// Clamp the recorded gaps between moves so replays stay watchable
+const MIN_STEP_DELAY = 0.4;
+const MAX_STEP_DELAY = 1.5;
+
+/**
+ * Plays a game record back move by move on the board.
+ * Moves go through GameState3D.makeMove, so the final winning line
+ * comes from the rules engine rather than from the record.
+ */
+export class ReplayController {
+  constructor({ gameState, boardView }) {
+    this.gameState = gameState;
+    this.boardView = boardView;
+
+    this.record = null;
+    this.index = 0;          // next move to apply
+    this.isActive = false;
+    this.isPlaying = false;
+    this.pendingStep = null; // gsap delayedCall
+
+    // Callbacks
+    this.onChange = null;    // () => void, after play/pause/step
+    this.onFinish = null;    // (winner) => void
+  }
+
+  load(record) {
+    this.stop();
+
+    this.record = record;
+    this.index = 0;
+    this.isActive = true;
+
+    // Older records predate the gravity variant
+    this.gameState.setRules(record.rules ?? RULES.CLASSIC, {
+      gravityAxis: record.gravityAxis ?? 'y'
+    });
+    this.gameState.reset();
+    this.boardView.resetVisuals();
+
+    // Puzzle games start from their preset pieces
+    if (record.preset) {
+      this.gameState.loadPosition(record.preset, record.startedBy ?? 'O');
+      for (const player of ['O', 'X']) {
+        for (const [x, y, z] of record.preset[player] ?? []) {
+          this.boardView.placePiece(x, y, z, player);
+        }
+      }
+    }
+    this._emitChange();
+  }
+
+  play() {
+    if (!this.isActive || this.isFinished()) return;
+    this.isPlaying = true;
+    this._scheduleNext();
+    this._emitChange();
+  }
+
+  pause() {
+    this.isPlaying = false;
+    this.pendingStep?.kill();
+    this.pendingStep = null;
+    this._emitChange();
+  }
+
+  togglePlay() {
+    if (this.isPlaying) this.pause();
+    else this.play();
+  }
+
+  /**
+   * Pause and apply exactly one move.
+   */
+  step() {
+    if (!this.isActive || this.isFinished()) return;
+    this.pause();
+    this._applyNext();
+  }
+
+  stop() {
+    this.pendingStep?.kill();
+    this.pendingStep = null;
+    this.isPlaying = false;
+    this.isActive = false;
+    this.record = null;
+    this.index = 0;
+  }
+
+  isFinished() {
+    return !this.record || this.index >= this.record.moves.length;
+  }
+
+  _scheduleNext() {
+    const moves = this.record.moves;
+    const prevT = this.index > 0 ? moves[this.index - 1].t ?? 0 : 0;
+    const gap = ((moves[this.index].t ?? 0) - prevT) / 1000;
+    const delay = Math.min(MAX_STEP_DELAY, Math.max(MIN_STEP_DELAY, gap));
+
+    this.pendingStep = gsap.delayedCall(delay, () => {
+      this.pendingStep = null;
+      this._applyNext();
+      if (this.isPlaying && !this.isFinished()) {
+        this._scheduleNext();
+      }
+    });
+  }
+
+  _applyNext() {
+    const move = this.record.moves[this.index];
+    this.index++;
+
+    const result = this.gameState.makeMove(move.x, move.y, move.z, move.player);
+    if (!result.success) {
+      console.error(`ReplayController: move #${this.index} is not legal, stopping replay.`, move);
+      this.pause();
+      this.index = this.record.moves.length;
+      return;
+    }
+
+    const dropFrom =
+      this.gameState.rules === RULES.GRAVITY
+        ? this.gameState.getColumnTop(move.x, move.y, move.z)
+        : null;
+    this.boardView.placePiece(move.x, move.y, move.z, move.player, { dropFrom });
+
+    if (this.isFinished()) {
+      this.isPlaying = false;
+
+      this.boardView.showWinningLine(this.gameState.getWinningLines());
+      this.onFinish?.(this.gameState.winner);
+    }
+
+    this._emitChange();
+  }
+
+  _emitChange() {
+    this.onChange?.();
+  }
+}
@@ -0,0 +1,89 @@
+import {
+  createTextButton,
+  setTextButtonLabel,
+  popTextButton,
+  showTextButtons
+} from './TextButton.js';
+
+/**
+ * PLAY/PAUSE, STEP and EXIT controls shown under the end-game row
+ * while a game record is being replayed.
+ */
+export class ReplayUI {
+  constructor(parent) {
+    this.parent = parent;
+    this.isShown = false;
+
+    this.playPlane = createTextButton(parent, {
+      label: 'PAUSE',
+      position: [-0.09, -0.01, 0]
+    });
+    this.stepPlane = createTextButton(parent, {
+      label: 'STEP',
+      position: [0, -0.01, 0]
+    });
+    this.exitPlane = createTextButton(parent, {
+      label: 'EXIT',
+      position: [0.09, -0.01, 0]
+    });
+
+    this.playCallback = null;
+    this.stepCallback = null;
+    this.exitCallback = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // API used by main.js
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Returns [{ plane, press }] for HandInput.addTouchButton.
+   */
+  getButtons() {
+    return [
+      { plane: this.playPlane, press: () => this._press(this.playPlane, this.playCallback) },
+      { plane: this.stepPlane, press: () => this._press(this.stepPlane, this.stepCallback) },
+      { plane: this.exitPlane, press: () => this._press(this.exitPlane, this.exitCallback) }
+    ];
+  }
+
+  onPlayPause(cb) {
+    this.playCallback = cb;
+  }
+
+  onStep(cb) {
+    this.stepCallback = cb;
+  }
+
+  onExit(cb) {
+    this.exitCallback = cb;
+  }
+
+  /**
+   * Match the PLAY/PAUSE label to the replay state.
+   */
+  setPlaying(isPlaying) {
+    const label = isPlaying ? 'PAUSE' : 'PLAY';
+    if (this.playPlane.userData.labelText !== label) {
+      setTextButtonLabel(this.playPlane, label);
+    }
+  }
+
+  show() {
+    if (this.isShown) return;
+    this.isShown = true;
+    showTextButtons([this.playPlane, this.stepPlane, this.exitPlane], true);
+  }
+
+  hide() {
+    if (!this.isShown) return;
+    this.isShown = false;
+    showTextButtons([this.playPlane, this.stepPlane, this.exitPlane], false);
+  }
+
+  _press(plane, cb) {
+    if (!this.isShown) return;
+    popTextButton(plane);
+    cb?.();
+  }
+}
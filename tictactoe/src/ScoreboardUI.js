@@ -0,0 +1,48 @@
+import { createTextButton, setTextButtonLabel, showTextButtons } from './TextButton.js';
+
+const LINE_HEIGHT = 0.032;
+
+/**
+ * 3D scoreboard beside the board for best-of-N series.
+ * Each line is a text plane, updated from main.js after every round.
+ */
+export class ScoreboardUI {
+  constructor(parent) {
+    this.parent = parent;
+    this.isShown = false;
+
+    this.lines = [0, 1, 2, 3].map((i) =>
+      createTextButton(parent, {
+        label: ' ',
+        width: 0.16,
+        height: 0.028,
+        position: [0.27, -0.14 - i * LINE_HEIGHT, 0],
+        textSize: 0.01
+      })
+    );
+  }
+
+  /**
+   * lines: up to four strings, top to bottom.
+   */
+  update(lines) {
+    this.lines.forEach((plane, i) => {
+      const text = lines[i] ?? ' ';
+      if (plane.userData.labelText !== text) {
+        setTextButtonLabel(plane, text);
+      }
+    });
+  }
+
+  show() {
+    if (this.isShown) return;
+    this.isShown = true;
+    showTextButtons(this.lines, true);
+  }
+
+  hide() {
+    if (!this.isShown) return;
+    this.isShown = false;
+    showTextButtons(this.lines, false);
+  }
+}
@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+import { FontLoader } from 'three/addons/loaders/FontLoader.js';
+import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
+
+// Small in-world text buttons: a faint plane with a 3D text label.
+// HandInput.addTouchButton() works on the returned plane.
+
+const FONT_URL = '/static/fonts/helvetiker_regular.typeface.json';
+
+let fontPromise = null;
+
+const textDefaultMaterial = new THREE.MeshBasicMaterial({
+  color: 0xffffff,
+  transparent: true,
+  opacity: 0.9
+});
+
+const textActiveMaterial = new THREE.MeshBasicMaterial({
+  color: 0xffd700, // yellow highlight
+  transparent: true,
+  opacity: 0.9
+});
+
+/**
+ * Load the UI font once and share it between all buttons.
+ */
+export function loadUIFont() {
+  if (!fontPromise) {
+    fontPromise = new Promise((resolve, reject) => {
+      new FontLoader().load(FONT_URL, resolve, undefined, reject);
+    });
+  }
+  return fontPromise;
+}
+
+/**
+ * Create a button plane under `parent`, hidden (scale 0) until shown.
+ */
+export function createTextButton(
+  parent,
+  { label, width = 0.08, height = 0.035, position = [0, 0, 0], textSize = 0.012 }
+) {
+  const plane = new THREE.Mesh(
+    new THREE.PlaneGeometry(width, height),
+    new THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: 0.12,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    })
+  );
+  plane.position.set(...position);
+  plane.scale.set(0, 0, 0);
+  plane.userData.textSize = textSize;
+  plane.userData.active = false;
+  parent.add(plane);
+
+  setTextButtonLabel(plane, label);
+  return plane;
+}
+
+/**
+ * Replace the label text (e.g. PLAY ↔ PAUSE).
+ */
+export function setTextButtonLabel(plane, label) {
+  plane.userData.labelText = label;
+
+  loadUIFont()
+    .then((font) => {
+      // A newer label was requested while the font was loading
+      if (plane.userData.labelText !== label) return;
+
+      const old = plane.userData.label;
+      if (old) {
+        plane.remove(old);
+        old.geometry.dispose();
+        plane.userData.label = null;
+      }
+
+      // Blank label: just clear the old text
+      if (label.trim() === '') return;
+
+      const geometry = new TextGeometry(label, {
+        font,
+        size: plane.userData.textSize,
+        depth: 0,
+        curveSegments: 12,
+        bevelEnabled: false
+      });
+      geometry.center();
+
+      const text = new THREE.Mesh(
+        geometry,
+        plane.userData.active ? textActiveMaterial : textDefaultMaterial
+      );
+      text.position.set(0, 0, 0.002);
+      plane.add(text);
+      plane.userData.label = text;
+    })
+    .catch((err) => {
+      console.error('Error loading UI font:', err);
+    });
+}
+
+/**
+ * Highlight the label in yellow (selected state).
+ */
+export function setTextButtonActive(plane, active) {
+  plane.userData.active = active;
+  if (plane.userData.label) {
+    plane.userData.label.material = active ? textActiveMaterial : textDefaultMaterial;
+  }
+}
+
+/**
+ * Small pop used as press feedback.
+ */
+export function popTextButton(plane) {
+  gsap.fromTo(
+    plane.scale,
+    { x: 0.8, y: 0.8, z: 0.8 },
+    { x: 1.0, y: 1.0, z: 1.0, duration: 0.2, ease: 'back.out', overwrite: true }
+  );
+}
+
+/**
+ * Animate a group of button planes in or out.
+ */
+export function showTextButtons(planes, visible, { delay = 0 } = {}) {
+  const target = visible ? 1.0 : 0;
+  gsap.to(
+    planes.map((p) => p.scale),
+    {
+      x: target,
+      y: target,
+      z: target,
+      duration: visible ? 0.4 : 0.2,
+      delay: visible ? delay : 0,
+      ease: visible ? 'power3.out' : 'power3.in',
+      overwrite: true
+    }
+  );
+}
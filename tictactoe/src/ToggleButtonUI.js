@@ -0,0 +1,63 @@
+import {
+  createTextButton,
+  setTextButtonActive,
+  popTextButton,
+  showTextButtons
+} from './TextButton.js';
+
+/**
+ * On/off text button beside the board (LAYERS, THREATS). Pressing it
+ * flips isActive and calls the onToggle callback with the new state;
+ * setActive keeps the highlight in sync when the state changes elsewhere.
+ */
+export class ToggleButtonUI {
+  constructor(parent, { label, position }) {
+    this.parent = parent;
+    this.isShown = false;
+    this.isActive = false;
+    this.toggleCallback = null;
+
+    this.togglePlane = createTextButton(parent, {
+      label,
+      width: 0.1,
+      position,
+      textSize: 0.01
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // API used by main.js
+  // ---------------------------------------------------------------------------
+
+  getTogglePlane() {
+    return this.togglePlane;
+  }
+
+  onToggle(cb) {
+    this.toggleCallback = cb;
+  }
+
+  triggerTogglePress() {
+    if (!this.isShown) return;
+    popTextButton(this.togglePlane);
+    this.setActive(!this.isActive);
+    this.toggleCallback?.(this.isActive);
+  }
+
+  setActive(active) {
+    this.isActive = active;
+    setTextButtonActive(this.togglePlane, active);
+  }
+
+  show() {
+    if (this.isShown) return;
+    this.isShown = true;
+    showTextButtons([this.togglePlane], true);
+  }
+
+  hide() {
+    if (!this.isShown) return;
+    this.isShown = false;
+    showTextButtons([this.togglePlane], false);
+  }
+}
@@ -3,9 +3,35 @@ import { XRButton } from 'three/addons/webxr/XRButton.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import gsap from 'gsap';
 
-import { GameState3D } from './GameState3D.js';
+import {
+  GameState3D,
+  GRID_SIZE,
+  MIN_GRID_SIZE,
+  MAX_GRID_SIZE,
+  DIFFICULTY,
+  RULES
+} from './GameState3D.js';
 import { BoardView } from './BoardView.js';
 import { EndGameUI } from './EndGameUI.js';
+import { OptionPicker } from './OptionPicker.js';
+import { ReplayController } from './ReplayController.js';
+import { ReplayUI } from './ReplayUI.js';
+import {
+  createGameRecord,
+  saveGameRecord,
+  fetchGameRecord,
+  exportGameRecord
+} from './GameRecord.js';
+import { NetworkClient } from './NetworkClient.js';
+import { OnlineUI } from './OnlineUI.js';
+import { MatchSeries, SERIES_LENGTHS } from './MatchSeries.js';
+import { ScoreboardUI } from './ScoreboardUI.js';
+import { HeatmapUI } from './HeatmapUI.js';
+import { ToggleButtonUI } from './ToggleButtonUI.js';
+import { PuzzleSet, DEFAULT_PUZZLES_URL } from './PuzzleSet.js';
+import { PuzzleUI } from './PuzzleUI.js';
+import { GameClock, TIMEOUT_ACTION } from './GameClock.js';
+import { ClockUI } from './ClockUI.js';
 import { HandInput } from './HandInput.js';
 
 // -------------------------------------
@@ -175,10 +201,114 @@ const clock = new THREE.Clock();
 
 let gameState = null;
 let endGameUI = null;
+let difficultyPicker = null;
+let modePicker = null;
+let rulesPicker = null;
+let seriesPicker = null;
+let series = null;
+let scoreboardUI = null;
+let heatmapUI = null;
+let layerToggleUI = null;
+let threatToggleUI = null;
+let puzzleUI = null;
+let replay = null;
+let replayUI = null;
+let onlineUI = null;
+let network = null;
 let handInput = null;
-
-const MOVE_COOLDOWN = 800;
-let lastMoveTime = 0;
+let gameClock = null;
+let clockUI = null;
+
+// Record of the last finished game (also kept in localStorage)
+let lastRecord = null;
+
+// Turn state machine, advanced every frame by updateTurn():
+//   IDLE      no move expected (game over, replay, online lobby, puzzles loading)
+//   HUMAN     a hand on this headset may place the current player's piece
+//   COMPUTER  the computer waits COMPUTER_MOVE_DELAY, then searches a slice per frame
+//   REMOTE    the online opponent is to move, or our move awaits the server's echo
+// beginTurn() picks the state after every move, reset, undo/redo and network event.
+const TURN = {
+  IDLE: 'idle',
+  HUMAN: 'human',
+  COMPUTER: 'computer',
+  REMOTE: 'remote',
+};
+let turnState = TURN.IDLE;
+let turnStartedAt = 0;
+
+// Hands wait this long into their turn, so the last piece lands first
+// and one pinch can't place twice
+const TURN_INPUT_DELAY = 400;
+
+const COMPUTER_MOVE_DELAY = 500;
+
+// The computer's search runs a few ms per frame so XR rendering never stalls
+const AI_FRAME_SLICE_MS = 8;
+let computerSearch = null;
+
+// Game mode: against the computer (human is O), two people taking turns,
+// two headsets over the relay server, or "win in N" puzzles against the computer
+const GAME_MODE = {
+  VS_AI: 'ai',
+  HOT_SEAT: 'hotseat',
+  ONLINE: 'online',
+  PUZZLE: 'puzzle',
+};
+
+const urlParams = new URLSearchParams(window.location.search);
+
+// ?room=<id> joins an online game, ?server=<ws url> overrides the relay address
+const ONLINE_ROOM = urlParams.get('room');
+const ONLINE_SERVER =
+  urlParams.get('server') ||
+  `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.hostname}:8787`;
+
+// ?puzzles=<puzzles.json> opens puzzle mode with another puzzle file
+const PUZZLES_URL = urlParams.get('puzzles') || DEFAULT_PUZZLES_URL;
+
+let gameMode = ONLINE_ROOM
+  ? GAME_MODE.ONLINE
+  : urlParams.has('puzzles')
+    ? GAME_MODE.PUZZLE
+    : GAME_MODE.VS_AI;
+
+// Online state: our mark, whether both players are in, and a move awaiting the server
+let onlineMark = null;
+let onlineStarted = false;
+let onlineMovePending = false;
+
+// Puzzle state: the loaded set (null until fetched), the puzzle on the board,
+// the moves that keep the forced win this turn, and whether they're shown
+let puzzleSet = null;
+let activePuzzle = null;
+let puzzleWinningMoves = [];
+let puzzleHintShown = false;
+
+// The forced-win check runs a few ms per frame, like the computer's search:
+// { search, moveCount } while it runs, for the board after moveCount moves
+let puzzleCheck = null;
+
+// Board size: classic 3×3×3 by default, ?size=4 for 4×4×4 Qubic
+const BOARD_SIZE = (() => {
+  const size = parseInt(urlParams.get('size'), 10);
+  return size >= MIN_GRID_SIZE && size <= MAX_GRID_SIZE ? size : GRID_SIZE;
+})();
+
+// Optional clocks: ?turn=<seconds> per move, ?clock=<seconds> per side for the
+// whole game; ?timeout=forfeit makes a human who runs out lose instead of
+// having a random move played for them
+const secondsParam = (name) => Math.max(0, parseFloat(urlParams.get(name)) || 0) * 1000;
+const TURN_LIMIT_MS = secondsParam('turn');
+const CLOCK_MS = secondsParam('clock');
+const TIMEOUT = urlParams.get('timeout') === TIMEOUT_ACTION.FORFEIT
+  ? TIMEOUT_ACTION.FORFEIT
+  : TIMEOUT_ACTION.RANDOM_MOVE;
+
+// Gravity variant: axis pieces fall along, ?gravity=x|y|z (y = down)
+const GRAVITY_AXIS = ['x', 'y', 'z'].includes(urlParams.get('gravity'))
+  ? urlParams.get('gravity')
+  : 'y';
 
 // Load X/O models, then start
 Promise.all([
@@ -211,7 +341,7 @@ Promise.all([
 // Start the app once assets are ready
 // -------------------------------------
 async function startApp(xModelTemplate, oModelTemplate) {
-  gameState = new GameState3D();
+  gameState = new GameState3D({ size: BOARD_SIZE, difficulty: DIFFICULTY.MEDIUM });
 
   // Board rendering
   boardView = new BoardView(scene, {
@@ -219,10 +349,15 @@ async function startApp(xModelTemplate, oModelTemplate) {
     lightBlueMaterial,
     xModelTemplate,
     oModelTemplate,
+    gridSize: BOARD_SIZE,
   });
 
-  // Load the tic-tac-toe grid model
-  await boardView.loadGridModel('/static/tictactoe.glb');
+  // Load the tic-tac-toe grid model (only the classic board ships a GLB)
+  if (BOARD_SIZE === GRID_SIZE) {
+    await boardView.loadGridModel('/static/tictactoe.glb');
+  } else {
+    boardView.createProceduralGrid();
+  }
 
   // End-game UI
   endGameUI = new EndGameUI(boardView.baseComposition, {
@@ -231,17 +366,182 @@ async function startApp(xModelTemplate, oModelTemplate) {
     lightBlueMaterial,
   });
 
+  // Mode + difficulty pickers (shown before each round)
+  modePicker = new OptionPicker(boardView.baseComposition, {
+    options: [
+      { value: GAME_MODE.VS_AI, label: 'VS AI' },
+      { value: GAME_MODE.HOT_SEAT, label: '2 PLAYERS' },
+      { value: GAME_MODE.PUZZLE, label: 'PUZZLES' },
+    ],
+    initialValue: gameMode,
+    y: 0.085,
+    width: 0.1,
+    spacing: 0.11,
+  });
+  modePicker.onSelect((mode) => {
+    const puzzleChanged = (mode === GAME_MODE.PUZZLE) !== (gameMode === GAME_MODE.PUZZLE);
+    gameMode = mode;
+
+    // Puzzles bring their own position: set it up, or clear it away
+    if (puzzleChanged) {
+      resetGame();
+      return;
+    }
+    updateScoreboard();
+    syncRoundUI();
+    beginTurn();
+  });
+
+  // Classic rules or gravity (3D Connect-Four)
+  rulesPicker = new OptionPicker(boardView.baseComposition, {
+    options: [
+      { value: RULES.CLASSIC, label: 'CLASSIC' },
+      { value: RULES.GRAVITY, label: 'GRAVITY' },
+    ],
+    initialValue: gameState.rules,
+    y: 0.175,
+    width: 0.1,
+    spacing: 0.11,
+  });
+  rulesPicker.onSelect((rules) => {
+    gameState.setRules(rules, { gravityAxis: GRAVITY_AXIS });
+    syncRoundUI();
+  });
+
+  // Best-of-N series, restored from localStorage
+  series = MatchSeries.load();
+  seriesPicker = new OptionPicker(boardView.baseComposition, {
+    options: SERIES_LENGTHS.map((bestOf) => ({
+      value: bestOf,
+      label: bestOf === 1 ? 'SINGLE' : `BEST OF ${bestOf}`,
+    })),
+    initialValue: series.bestOf,
+    y: 0.13,
+    width: 0.085,
+    spacing: 0.09,
+    textSize: 0.01,
+  });
+  seriesPicker.onSelect((bestOf) => {
+    series.start(bestOf);
+    updateScoreboard();
+    syncRoundUI();
+  });
+
+  scoreboardUI = new ScoreboardUI(boardView.baseComposition);
+
+  // AI heatmap overlay + legend
+  heatmapUI = new HeatmapUI(boardView.baseComposition);
+  heatmapUI.onToggle(() => updateHeatmap());
+
+  // Layer-exploded view (LAYERS button or two-hand spread)
+  layerToggleUI = new ToggleButtonUI(boardView.baseComposition, {
+    label: 'LAYERS',
+    position: [-0.27, -0.1, 0]
+  });
+  layerToggleUI.onToggle(() => setBoardExploded(!boardView.isExploded));
+  layerToggleUI.show();
+
+  // Pulse cells one move from winning (THREATS button)
+  threatToggleUI = new ToggleButtonUI(boardView.baseComposition, {
+    label: 'THREATS',
+    position: [-0.27, -0.06, 0]
+  });
+  threatToggleUI.onToggle(() => updateThreats());
+
+  difficultyPicker = new OptionPicker(boardView.baseComposition, {
+    options: [
+      { value: DIFFICULTY.EASY, label: 'EASY' },
+      { value: DIFFICULTY.MEDIUM, label: 'MEDIUM' },
+      { value: DIFFICULTY.HARD, label: 'HARD' },
+    ],
+    initialValue: gameState.difficulty,
+  });
+  difficultyPicker.onSelect((level) => {
+    gameState.setDifficulty(level);
+  });
+
+  // Game record replay
+  replay = new ReplayController({ gameState, boardView });
+  replayUI = new ReplayUI(boardView.baseComposition);
+
+  replay.onChange = () => {
+    replayUI.setPlaying(replay.isPlaying);
+    updateThreats();
+  };
+  replay.onFinish = (winner) => {
+    replayUI.hide();
+    if (winner === 'draw') {
+      endGameUI.showWinner(winner);
+    } else if (winner) {
+      endGameUI.showWinner(winner, { name: playerName(winner, replay.record?.mode) });
+    }
+    endGameUI.showRecordButtons(true);
+  };
+
+  replayUI.onPlayPause(() => replay.togglePlay());
+  replayUI.onStep(() => replay.step());
+  replayUI.onExit(() => resetGame());
+
+  // Puzzles: title/goal line, HINT and SKIP
+  puzzleUI = new PuzzleUI(boardView.baseComposition);
+  puzzleUI.onHint(() => {
+    puzzleHintShown = true;
+    updateHeatmap();
+  });
+  puzzleUI.onSkip(() => nextPuzzle());
+
+  PuzzleSet.fetch(PUZZLES_URL, { size: BOARD_SIZE })
+    .then((set) => {
+      puzzleSet = set;
+      if (gameMode === GAME_MODE.PUZZLE && !replay.isActive) resetGame();
+    })
+    .catch((err) => {
+      console.error('Error loading puzzles:', err);
+      puzzleUI.setTitle('NO PUZZLES');
+    });
+
+  // Turn / game clocks (off unless ?turn= or ?clock= is set)
+  gameClock = new GameClock({ turnLimitMs: TURN_LIMIT_MS, totalMs: CLOCK_MS });
+  clockUI = new ClockUI(boardView.baseComposition, {
+    showTotals: CLOCK_MS > 0,
+    showTurn: TURN_LIMIT_MS > 0,
+  });
+
+  // Online play
+  onlineUI = new OnlineUI(boardView.baseComposition);
+  onlineUI.onResign(() => network.resign());
+  onlineUI.onRetry(() => {
+    onlineUI.showRetry(false);
+    onlineUI.setStatus('CONNECTING');
+    network.connect(ONLINE_ROOM, gameState.size);
+  });
+  if (gameMode === GAME_MODE.ONLINE) {
+    connectOnline();
+  }
+
   // Hand input
   handInput = new HandInput(renderer, scene, {
     chairRotationSpeed: 4.0,
     maxUpDownRotation: Math.PI / 3,
+    tapMaxTravel: 0.03, // pinches moving further (m) or held longer (ms) rotate instead of placing
+    tapMaxDuration: 350,
   });
 
   // Let hand input know which plane is the button
   handInput.setButtonPlane(endGameUI.getButtonPlane());
 
-  // Button press → animate + reset game
+  // Button press → animate + reset game (online: ask for a rematch,
+  // puzzles: on to the next one)
   endGameUI.onButtonPress(() => {
+    if (gameMode === GAME_MODE.ONLINE) {
+      network.requestRematch();
+      onlineUI.setStatus('WAITING FOR REMATCH');
+      return;
+    }
+    if (gameMode === GAME_MODE.PUZZLE && !replay.isActive && gameState.isGameOver) {
+      nextPuzzle();
+      return;
+    }
     resetGame();
   });
 
@@ -250,78 +550,122 @@ async function startApp(xModelTemplate, oModelTemplate) {
     endGameUI.triggerButtonPress();
   });
 
-  // Hand pinch → place O + trigger AI, etc.
-  handInput.setPlaceOCallback(({ hand, thumbWorldPos }) => {
-    if (!boardView.baseGrid || gameState.isGameOver) return;
-
-    const now = Date.now();
-    if (now - lastMoveTime < MOVE_COOLDOWN) return;
+  // Picker buttons
+  for (const picker of [rulesPicker, modePicker, seriesPicker, difficultyPicker]) {
+    for (const { value, plane } of picker.getButtonPlanes()) {
+      handInput.addTouchButton(plane, () => picker.select(value));
+    }
+  }
+
+  // Undo / redo buttons
+  endGameUI.onUndoPress(() => undoTurn());
+  endGameUI.onRedoPress(() => redoTurn());
+  handInput.addTouchButton(endGameUI.getUndoPlane(), () => endGameUI.triggerUndoPress());
+  handInput.addTouchButton(endGameUI.getRedoPlane(), () => endGameUI.triggerRedoPress());
+
+  // Replay buttons
+  endGameUI.onReplayPress(() => {
+    const record = replay.record ?? lastRecord;
+    if (record) startReplay(record);
+  });
+  handInput.addTouchButton(endGameUI.getReplayPlane(), () => endGameUI.triggerReplayPress());
+
+  // Export button: the record as JSON, for sharing games or AI bug reports
+  endGameUI.onExportPress(() => {
+    const record = replay.record ?? lastRecord;
+    if (!record) return;
+    exportGameRecord(record).then((how) => {
+      endGameUI.setExportLabel(how === 'copied' ? 'COPIED' : 'SAVED');
+    });
+  });
+  handInput.addTouchButton(endGameUI.getExportPlane(), () => endGameUI.triggerExportPress());
+
+  for (const { plane, press } of replayUI.getButtons()) {
+    handInput.addTouchButton(plane, press);
+  }
+
+  handInput.addTouchButton(onlineUI.getResignPlane(), () => onlineUI.triggerResignPress());
+  handInput.addTouchButton(onlineUI.getRetryPlane(), () => onlineUI.triggerRetryPress());
+  handInput.addTouchButton(heatmapUI.getTogglePlane(), () => heatmapUI.triggerTogglePress());
+  handInput.addTouchButton(layerToggleUI.getTogglePlane(), () => layerToggleUI.triggerTogglePress());
+  handInput.addTouchButton(threatToggleUI.getTogglePlane(), () => threatToggleUI.triggerTogglePress());
+  handInput.addTouchButton(puzzleUI.getHintPlane(), () => puzzleUI.triggerHintPress());
+  handInput.addTouchButton(puzzleUI.getSkipPlane(), () => puzzleUI.triggerSkipPress());
+
+  // Hand approaching the board → highlight the cell a release would pick
+  handInput.setHoverCallback((hands) => {
+    if (!canPlaceNow()) {
+      boardView.setHoverSphere(null);
+      return;
+    }
 
-    const nearestSphere = boardView.findNearestSphere(thumbWorldPos);
-    if (!nearestSphere) return;
-    if (!boardView.isSphereFree(nearestSphere.uuid)) return;
+    let target = null;
+    let targetDist = Infinity;
+    const tmp = new THREE.Vector3();
 
-    const coords = boardView.getGridCoordsFromSphere(nearestSphere.uuid);
-    if (!coords) return;
+    for (const { thumbWorldPos, dragging } of hands) {
+      if (dragging) continue; // rotating the board, not aiming
 
-    // Update logical game state
-    const moveResult = gameState.makeMove(coords.x, coords.y, coords.z, 'O');
-    if (!moveResult.success) return;
+      const sphere = boardView.findNearestSphere(thumbWorldPos);
+      if (!sphere) continue;
 
-    // Spawn visual O
-    const worldPos = new THREE.Vector3();
-    nearestSphere.getWorldPosition(worldPos);
-    const localPos = boardView.worldToLocalOnGrid(worldPos);
-    boardView.spawnO(localPos);
+      const d = sphere.getWorldPosition(tmp).distanceTo(thumbWorldPos);
+      if (d < targetDist) {
+        target = sphere;
+        targetDist = d;
+      }
+    }
 
-    nearestSphere.visible = false;
-    boardView.markSphereUsed(nearestSphere.uuid, 'O');
+    // Under gravity, preview the cell the piece would fall to
+    const aimed = target && boardView.getGridCoordsFromSphere(target.uuid);
+    const landing = aimed && gameState.resolveDrop(aimed.x, aimed.y, aimed.z);
+    const landingSphere = landing && boardView.findSphereByGridPos(landing.x, landing.y, landing.z);
 
-    lastMoveTime = now;
+    boardView.setHoverSphere(landingSphere || null, gameState.getCurrentPlayer());
+  });
 
-    // Check winner (player)
-    if (gameState.winner) {
-        if (gameState.winner !== 'draw') {
-          endGameUI.showWinner(gameState.winner);
-  
-          const line = gameState.getWinningLine();
-          if (line) {
-            boardView.showWinningLine(line.start, line.end);
-          }
-        }
-        return;
-    }
+  // Tap-pinch → place O (or the current player's piece in hot-seat)
+  handInput.setPlaceOCallback(({ hand, thumbWorldPos }) => {
+    if (!canPlaceNow()) return;
 
-    // Computer turn (X) with small delay
-    setTimeout(() => {
-      if (gameState.isGameOver) return;
+    const player = gameState.getCurrentPlayer();
 
-      const best = gameState.findBestMove('X');
-      if (!best) return;
+    const nearestSphere = boardView.findNearestSphere(thumbWorldPos);
+    if (!nearestSphere) return;
+    if (!boardView.isSphereFree(nearestSphere.uuid)) return;
 
-      const sphere = boardView.findSphereByGridPos(best.x, best.y, best.z);
-      if (!sphere || !boardView.isSphereFree(sphere.uuid)) return;
+    const aimed = boardView.getGridCoordsFromSphere(nearestSphere.uuid);
+    if (!aimed) return;
 
-      const compResult = gameState.makeMove(best.x, best.y, best.z, 'X');
-      if (!compResult.success) return;
+    // Gravity: the piece falls to the bottom of the aimed column
+    const coords = gameState.resolveDrop(aimed.x, aimed.y, aimed.z);
+    if (!coords) return;
 
-      const worldPos2 = new THREE.Vector3();
-      sphere.getWorldPosition(worldPos2);
-      const localPos2 = boardView.worldToLocalOnGrid(worldPos2);
-      boardView.spawnX(localPos2);
+    // Online: the server validates and echoes the move back to both players
+    if (gameMode === GAME_MODE.ONLINE) {
+      sendOnlineMove(coords);
+      return;
+    }
 
-      sphere.visible = false;
-      boardView.markSphereUsed(sphere.uuid, 'X');
+    // Puzzles only take moves that still win by force, once those are known
+    if (gameMode === GAME_MODE.PUZZLE && puzzleCheck) {
+      puzzleUI.setStatus('CHECKING THE POSITION - TRY AGAIN');
+      return;
+    }
+    if (gameMode === GAME_MODE.PUZZLE && !isPuzzleWinningMove(coords)) {
+      puzzleUI.setStatus('NO FORCED WIN FROM THERE - TRY AGAIN');
+      return;
+    }
 
-      if (gameState.winner && gameState.winner !== 'draw') {
-        endGameUI.showWinner(gameState.winner);
+    // Update logical game state + spawn visual piece; the turn machine
+    // takes it from there (computer reply, next player, game over)
+    playMove(coords.x, coords.y, coords.z, player, { dropFrom: aimed });
+  });
 
-        const line = gameState.getWinningLine();
-        if (line) {
-          boardView.showWinningLine(line.start, line.end);
-        }
-      }
-    }, 500);
+  // Both hands pinch-drag apart → explode the layers, together → pack them
+  handInput.setTwoHandPinchCallback(({ scale }) => {
+    if (scale > 1.3) setBoardExploded(true);
+    else if (scale < 0.77) setBoardExploded(false);
   });
 
   // Hand pinch drag → rotate board
@@ -337,6 +681,20 @@ async function startApp(xModelTemplate, oModelTemplate) {
     boardView.baseGrid.rotation.x = clampedX;
   });
 
+  prepareRound();
+  syncRoundUI();
+  beginTurn();
+
+  // ?replay=last or ?replay=<record.json> opens a saved game, paused
+  const replaySource = urlParams.get('replay');
+  if (replaySource) {
+    fetchGameRecord(replaySource)
+      .then((record) => startReplay(record, { autoplay: false }))
+      .catch((err) => {
+        console.error('Error loading game record:', err);
+      });
+  }
+
   // Start render loop
 
   const clock = new THREE.Clock();
@@ -347,6 +705,7 @@ async function startApp(xModelTemplate, oModelTemplate) {
     gsap.ticker.tick(delta);
   
     handInput.update(delta);
+    updateTurn();
     positionCompositionAtHeadHeight();
   
     renderer.render(scene, camera);
@@ -355,17 +714,671 @@ async function startApp(xModelTemplate, oModelTemplate) {
 
 }
 
+// Spread the board's layers apart (or pack them) and keep the LAYERS button in sync
+function setBoardExploded(exploded) {
+  boardView.setExploded(exploded);
+  layerToggleUI.setActive(exploded);
+}
+
+// -------------------------------------
+// Moves: apply to state + board, show result
+// -------------------------------------
+
+// Whether a hand on this headset may place a piece right now
+function canPlaceNow() {
+  return turnState === TURN.HUMAN && performance.now() - turnStartedAt >= TURN_INPUT_DELAY;
+}
+
+function playMove(x, y, z, player, { dropFrom = dropStart(x, y, z) } = {}) {
+  const result = gameState.makeMove(x, y, z, player);
+  if (!result.success) return false;
+
+  boardView.placePiece(x, y, z, player, { dropFrom });
+  handleGameOver();
+  if (gameMode === GAME_MODE.PUZZLE) updatePuzzleTurn();
+  syncRoundUI();
+  beginTurn();
+  return true;
+}
+
+// Online: the server validates and echoes the move back to both players
+function sendOnlineMove({ x, y, z }) {
+  network.sendMove(x, y, z);
+  onlineMovePending = true;
+  beginTurn();
+}
+
+// Where a piece placed at (x,y,z) starts falling from (gravity rules only)
+function dropStart(x, y, z) {
+  return gameState.rules === RULES.GRAVITY ? gameState.getColumnTop(x, y, z) : null;
+}
+
+// Show the result and save a record once the game is finished
+function handleGameOver() {
+  if (!gameState.isGameOver) return;
+
+  if (gameMode === GAME_MODE.PUZZLE) {
+    if (activePuzzle && gameState.winner === activePuzzle.toMove) {
+      puzzleSet.markSolved(activePuzzle.id);
+    }
+  } else if (gameMode !== GAME_MODE.ONLINE) {
+    series.recordResult(gameState.winner);
+    updateScoreboard();
+  }
+
+  showResultIfOver();
+
+  lastRecord = createGameRecord(gameState, { mode: gameMode });
+  saveGameRecord(lastRecord);
+
+  endGameUI.showRecordButtons(true);
+}
+
+function showResultIfOver() {
+  if (!gameState.winner) return;
+
+  // Last round of a series: name the series winner instead
+  const seriesWinner =
+    (gameMode === GAME_MODE.VS_AI || gameMode === GAME_MODE.HOT_SEAT) &&
+    series.bestOf > 1 &&
+    series.getWinner();
+  const isDraw = gameState.winner === 'draw';
+  const name = seriesWinner
+    ? `${playerName(seriesWinner)} - SERIES`
+    : isDraw ? undefined : playerName(gameState.winner);
+
+  // Draws get the reset / rematch button too, or a series would stall
+  endGameUI.showWinner(gameState.winner, { name });
+
+  // A single move can complete several lines at once
+  if (!isDraw) boardView.showWinningLine(gameState.getWinningLines());
+}
+
+// Name shown above the end-game message
+function playerName(player, mode = gameMode) {
+  if (mode === GAME_MODE.ONLINE && onlineMark) {
+    return player === onlineMark ? 'YOU' : 'OPPONENT';
+  }
+  if (mode === GAME_MODE.HOT_SEAT || mode === GAME_MODE.ONLINE) {
+    return player === 'O' ? 'PLAYER 1' : 'PLAYER 2';
+  }
+  if (mode === GAME_MODE.PUZZLE && activePuzzle) {
+    if (player !== activePuzzle.toMove) return 'COMPUTER';
+    return puzzleSet.allSolved() ? 'ALL PUZZLES SOLVED' : 'PUZZLE SOLVED';
+  }
+  return player === 'O' ? 'YOU' : 'COMPUTER';
+}
+
+// -------------------------------------
+// Match series: who starts the round + scoreboard
+// -------------------------------------
+function prepareRound() {
+  // A replay may have switched rules; online games are always classic
+  if (gameMode === GAME_MODE.ONLINE) {
+    gameState.setRules(RULES.CLASSIC);
+    return;
+  }
+  if (gameMode === GAME_MODE.PUZZLE) {
+    startPuzzle();
+    return;
+  }
+  gameState.setRules(rulesPicker.selectedValue, { gravityAxis: GRAVITY_AXIS });
+
+  // Finished series: the next round opens a new one of the same length
+  if (series.isOver()) series.start();
+
+  gameState.startingPlayer = series.getStartingPlayer();
+  updateScoreboard();
+}
+
+function updateScoreboard() {
+  const header = series.isOver()
+    ? `BEST OF ${series.bestOf} - FINAL`
+    : `BEST OF ${series.bestOf} - ROUND ${series.getRound()}`;
+
+  // Against the computer the score is the human's wins/losses
+  const lines =
+    gameMode === GAME_MODE.VS_AI
+      ? [header, `WINS ${series.getWins('O')}`, `LOSSES ${series.getWins('X')}`]
+      : [header, `${playerName('O')} ${series.getWins('O')}`, `${playerName('X')} ${series.getWins('X')}`];
+  lines.push(`DRAWS ${series.getDraws()}`);
+
+  scoreboardUI.update(lines);
+}
+
+// -------------------------------------
+// Turns: who moves next, computer search, clocks
+// -------------------------------------
+
+// Enter the state for whoever is to move now
+function beginTurn() {
+  const now = performance.now();
+
+  computerSearch = null;
+  turnState = nextTurnState();
+  turnStartedAt = now;
+
+  if (turnState === TURN.IDLE) {
+    gameClock.stop(now);
+  } else {
+    gameClock.start(gameState.getCurrentPlayer(), now);
+  }
+}
+
+function nextTurnState() {
+  if (!boardView.baseGrid || gameState.isGameOver || replay.isActive) return TURN.IDLE;
+
+  const player = gameState.getCurrentPlayer();
+  switch (gameMode) {
+    case GAME_MODE.ONLINE:
+      if (!onlineStarted) return TURN.IDLE;
+      return player === onlineMark && !onlineMovePending ? TURN.HUMAN : TURN.REMOTE;
+    case GAME_MODE.PUZZLE:
+      if (!activePuzzle) return TURN.IDLE;
+      return player === activePuzzle.toMove ? TURN.HUMAN : TURN.COMPUTER;
+    case GAME_MODE.VS_AI:
+      return player === 'O' ? TURN.HUMAN : TURN.COMPUTER;
+    default:
+      return TURN.HUMAN;
+  }
+}
+
+// Called every frame
+function updateTurn() {
+  const now = performance.now();
+
+  if (clocksActive()) clockUI.update(gameClock, now);
+
+  if (puzzleCheck) stepPuzzleCheck();
+
+  if (turnState === TURN.COMPUTER) {
+    stepComputerSearch(now);
+  } else if (
+    turnState === TURN.HUMAN &&
+    clocksActive() &&
+    now - turnStartedAt >= TURN_INPUT_DELAY &&
+    gameClock.isExpired(now)
+  ) {
+    handleTimeout();
+  }
+}
+
+// Computer turn: short delay, then a search spread over frames
+function stepComputerSearch(now) {
+  if (!computerSearch) {
+    if (now - turnStartedAt < COMPUTER_MOVE_DELAY) return;
+    computerSearch = gameState.createMoveSearch(computerPlayer());
+  }
+
+  const { done, move } = computerSearch.step(AI_FRAME_SLICE_MS);
+  if (!done) return;
+
+  computerSearch = null;
+  if (!move || !playMove(move.x, move.y, move.z, computerPlayer())) {
+    console.error('Computer found no legal move.', move);
+    turnState = TURN.IDLE;
+  }
+}
+
+// Clocks run for normal rounds only, not puzzles or replays
+function clocksActive() {
+  return gameClock.isEnabled() && gameMode !== GAME_MODE.PUZZLE && !replay.isActive;
+}
+
+// The human to move is out of time: forfeit, or a random legal move for them
+function handleTimeout() {
+  const player = gameState.getCurrentPlayer();
+
+  if (TIMEOUT === TIMEOUT_ACTION.FORFEIT) {
+    if (gameMode === GAME_MODE.ONLINE) {
+      network.resign();
+      onlineMovePending = true; // the server's game-over ends the turn
+      beginTurn();
+      return;
+    }
+    gameState.resign(player);
+    handleGameOver();
+    syncRoundUI();
+    beginTurn();
+    return;
+  }
+
+  const move = gameState.findBestMove(player, { strategy: 'random' });
+  if (!move) return;
+
+  if (gameMode === GAME_MODE.ONLINE) {
+    sendOnlineMove(move);
+  } else {
+    playMove(move.x, move.y, move.z, player);
+  }
+}
+
+// X against the human; in puzzles, whichever side defends
+function computerPlayer() {
+  if (gameMode === GAME_MODE.PUZZLE && activePuzzle) {
+    return activePuzzle.toMove === 'X' ? 'O' : 'X';
+  }
+  return 'X';
+}
+
+// Rules/mode/difficulty only before the first move, undo/redo once there is history
+function syncRoundUI() {
+  onlineUI.showResign(
+    gameMode === GAME_MODE.ONLINE && onlineStarted && !gameState.isGameOver && !replay.isActive
+  );
+
+  updateHeatmap();
+  updateThreats();
+
+  // Threat halos would give puzzles away
+  if (gameMode === GAME_MODE.PUZZLE && !replay.isActive) {
+    threatToggleUI.hide();
+  } else {
+    threatToggleUI.show();
+  }
+
+  if (clocksActive() && (gameMode !== GAME_MODE.ONLINE || onlineStarted)) {
+    clockUI.show();
+  } else {
+    clockUI.hide();
+  }
+
+  if (gameMode === GAME_MODE.PUZZLE && !replay.isActive) {
+    puzzleUI.show();
+    puzzleUI.showButtons(Boolean(activePuzzle) && !gameState.isGameOver);
+  } else {
+    puzzleUI.hide();
+  }
+
+  if (gameMode === GAME_MODE.ONLINE || gameMode === GAME_MODE.PUZZLE || replay.isActive) {
+    heatmapUI.hide();
+    rulesPicker.hide();
+    seriesPicker.hide();
+    difficultyPicker.hide();
+    scoreboardUI.hide();
+    endGameUI.setHistoryControls({ canUndo: false, canRedo: false });
+
+    // Puzzles can be left before the first move
+    if (gameMode === GAME_MODE.PUZZLE && !replay.isActive && !gameState.canUndo()) {
+      modePicker.show();
+    } else {
+      modePicker.hide();
+    }
+    return;
+  }
+
+  heatmapUI.show();
+
+  if (series.bestOf > 1) {
+    scoreboardUI.show();
+  } else {
+    scoreboardUI.hide();
+  }
+
+  // Settings are locked while a series is being played
+  if (gameState.canUndo() || series.isInProgress()) {
+    rulesPicker.hide();
+    modePicker.hide();
+    seriesPicker.hide();
+    difficultyPicker.hide();
+  } else {
+    rulesPicker.show();
+    modePicker.show();
+    seriesPicker.show();
+    if (gameMode === GAME_MODE.VS_AI) {
+      difficultyPicker.show();
+    } else {
+      difficultyPicker.hide();
+    }
+  }
+
+  endGameUI.setHistoryControls({
+    canUndo: gameState.canUndo(),
+    canRedo: gameState.canRedo(),
+  });
+}
+
+// Color the free cells by how good they are for the player to move
+// (puzzles: mark the winning moves once a hint is asked for)
+function updateHeatmap() {
+  if (gameMode === GAME_MODE.PUZZLE && !replay.isActive) {
+    if (puzzleHintShown && !gameState.isGameOver) {
+      boardView.showHeatmap(puzzleWinningMoves.map((move) => ({ ...move, score: 0, kind: 'win' })));
+    } else {
+      boardView.hideHeatmap();
+    }
+    return;
+  }
+
+  const visible =
+    heatmapUI.isActive &&
+    gameMode !== GAME_MODE.ONLINE &&
+    !replay.isActive &&
+    !gameState.isGameOver;
+
+  if (!visible) {
+    boardView.hideHeatmap();
+    return;
+  }
+
+  boardView.showHeatmap(gameState.analyzeMoves(gameState.getCurrentPlayer()));
+}
+
+// Pulse the cells where either player could complete a line next move
+function updateThreats() {
+  const visible =
+    threatToggleUI.isActive &&
+    !(gameMode === GAME_MODE.PUZZLE && !replay.isActive) &&
+    !gameState.isGameOver;
+
+  if (!visible) {
+    boardView.hideThreats();
+    return;
+  }
+
+  boardView.showThreats(gameState.getThreats());
+}
+
+// -------------------------------------
+// Puzzles: preset position, forced-win moves only
+// -------------------------------------
+
+// Set up the current puzzle (called from prepareRound after a reset)
+function startPuzzle() {
+  activePuzzle = puzzleSet?.current() ?? null;
+  puzzleWinningMoves = [];
+  puzzleHintShown = false;
+  puzzleCheck = null;
+
+  if (!activePuzzle) {
+    puzzleUI.setTitle(puzzleSet ? 'NO PUZZLES FOR THIS BOARD SIZE' : 'LOADING PUZZLES');
+    puzzleUI.setStatus(' ');
+    return;
+  }
+
+  gameState.setRules(activePuzzle.rules, { gravityAxis: activePuzzle.gravityAxis ?? 'y' });
+  gameState.loadPosition(activePuzzle.pieces, activePuzzle.toMove);
+
+  // Starting pieces go through placePiece → BoardView.spawnO / spawnX
+  for (const player of ['O', 'X']) {
+    for (const [x, y, z] of activePuzzle.pieces[player] ?? []) {
+      boardView.placePiece(x, y, z, player);
+    }
+  }
+
+  const number = puzzleSet.index + 1;
+  puzzleUI.setTitle(
+    `PUZZLE ${number}/${puzzleSet.puzzles.length} - ${activePuzzle.title.toUpperCase()}`
+  );
+  updatePuzzleTurn();
+}
+
+function nextPuzzle() {
+  puzzleSet?.next();
+  resetGame();
+}
+
+// The player's own moves still available to win the puzzle
+function puzzleMovesLeft() {
+  const played = gameState.history.filter((m) => m.player === activePuzzle.toMove).length;
+  return activePuzzle.winIn - played;
+}
+
+// After each move (and at the start): work out which moves keep the forced win, update the goal line
+function updatePuzzleTurn() {
+  if (!activePuzzle) return;
+
+  puzzleHintShown = false;
+  puzzleWinningMoves = [];
+  puzzleCheck = null;
+
+  if (gameState.isGameOver) {
+    puzzleUI.setStatus(gameState.winner === activePuzzle.toMove ? 'SOLVED' : 'FAILED');
+  } else if (gameState.getCurrentPlayer() === activePuzzle.toMove) {
+    const movesLeft = puzzleMovesLeft();
+    puzzleCheck = {
+      search: gameState.createWinningMovesSearch(activePuzzle.toMove, movesLeft),
+      moveCount: gameState.history.length
+    };
+
+    puzzleUI.setStatus(puzzleGoal());
+  }
+}
+
+function puzzleGoal() {
+  const movesLeft = puzzleMovesLeft();
+  const side = activePuzzle.toMove === 'O' ? 'ORANGE' : 'BLUE';
+  return `${side} TO WIN IN ${movesLeft} ${movesLeft === 1 ? 'MOVE' : 'MOVES'}`;
+}
+
+// Called every frame while the winning moves are being worked out
+function stepPuzzleCheck() {
+  // The board moved on (reset, replay): that check no longer applies
+  if (
+    gameMode !== GAME_MODE.PUZZLE ||
+    replay.isActive ||
+    gameState.history.length !== puzzleCheck.moveCount
+  ) {
+    puzzleCheck = null;
+    return;
+  }
+
+  const { done, moves } = puzzleCheck.search.step(AI_FRAME_SLICE_MS);
+  if (!done) return;
+
+  puzzleCheck = null;
+  puzzleWinningMoves = moves;
+  puzzleUI.setStatus(puzzleGoal()); // clears a "checking" note
+  if (moves.length === 0) {
+    console.warn(`Puzzle "${activePuzzle.id}" has no forced win in ${puzzleMovesLeft()}.`);
+  }
+  if (puzzleHintShown) updateHeatmap();
+}
+
+function isPuzzleWinningMove({ x, y, z }) {
+  return puzzleWinningMoves.some((m) => m.x === x && m.y === y && m.z === z);
+}
+
+// -------------------------------------
+// Undo / redo a full turn (player O + computer reply X),
+// or a single move in hot-seat mode
+// -------------------------------------
+function undoTurn() {
+  if (replay.isActive || gameMode === GAME_MODE.ONLINE) return;
+
+  const wasGameOver = gameState.isGameOver;
+
+  const move = gameState.undo();
+  if (!move) return;
+  boardView.removePiece(move.x, move.y, move.z);
+
+  // Undoing the computer's reply also takes back the move it answered
+  if (gameMode === GAME_MODE.VS_AI && move.player === 'X') {
+    const previous = gameState.undo();
+    if (previous) boardView.removePiece(previous.x, previous.y, previous.z);
+  }
+
+  if (wasGameOver) {
+    boardView.hideWinningLine();
+    endGameUI.hideAll();
+    series.undoLastResult();
+    updateScoreboard();
+  }
+
+  syncRoundUI();
+
+  // Also cancels a computer search in progress, or restarts the
+  // computer's opening move of a round it started
+  beginTurn();
+}
+
+function redoTurn() {
+  if (replay.isActive || gameMode === GAME_MODE.ONLINE || turnState === TURN.COMPUTER || gameState.isGameOver) return;
+
+  const first = gameState.redo();
+  if (!first) return;
+  const { x, y, z, player } = first.move;
+  boardView.placePiece(x, y, z, player, { dropFrom: dropStart(x, y, z) });
+
+  // Replay the computer's reply with it, or ask for a fresh one
+  if (gameMode === GAME_MODE.VS_AI && !gameState.isGameOver && first.move.player === 'O') {
+    if (gameState.peekRedoPlayer() === 'X') {
+      const reply = gameState.redo();
+      if (reply) {
+        const { x, y, z } = reply.move;
+        boardView.placePiece(x, y, z, 'X', { dropFrom: dropStart(x, y, z) });
+      }
+    }
+  }
+
+  handleGameOver();
+  syncRoundUI();
+  beginTurn(); // no redone reply: the computer thinks of a fresh one
+}
+
+// -------------------------------------
+// Online game over WebSocket (server/relay-server.js)
+// -------------------------------------
+function connectOnline() {
+  network = new NetworkClient(ONLINE_SERVER);
+
+  network.onJoined = ({ player }) => {
+    onlineMark = player;
+    onlineUI.setStatus(`YOU ARE ${player} - WAITING FOR OPPONENT`);
+  };
+
+  network.onStart = ({ startingPlayer }) => {
+    resetGame();
+    gameState.startingPlayer = startingPlayer;
+    onlineStarted = true;
+    updateOnlineStatus();
+    syncRoundUI();
+    beginTurn();
+  };
+
+  network.onMove = ({ x, y, z, player }) => {
+    if (player === onlineMark) onlineMovePending = false;
+
+    if (!playMove(x, y, z, player)) {
+      console.error('Online move rejected locally, boards are out of sync.', { x, y, z, player });
+      beginTurn();
+    }
+    updateOnlineStatus();
+  };
+
+  network.onGameOver = ({ winner, reason }) => {
+    if (reason === 'resign' && !gameState.isGameOver) {
+      gameState.resign(winner === 'O' ? 'X' : 'O');
+      handleGameOver();
+    } else if (gameState.winner !== winner) {
+      console.error(`Online result mismatch: server says ${winner}, local ${gameState.winner}`);
+    }
+    onlineMovePending = false;
+    updateOnlineStatus(reason === 'resign' ? 'RESIGNED' : null);
+    syncRoundUI();
+    beginTurn();
+  };
+
+  network.onRematch = ({ player }) => {
+    if (player !== onlineMark) {
+      onlineUI.setStatus('OPPONENT WANTS A REMATCH');
+    }
+  };
+
+  network.onOpponentLeft = () => {
+    onlineStarted = false;
+    resetGame();
+    onlineUI.setStatus(`YOU ARE ${onlineMark} - WAITING FOR OPPONENT`);
+  };
+
+  network.onError = (message) => {
+    onlineUI.setStatus(message.toUpperCase());
+
+    // Refused join (room full, other board size): start over on RETRY
+    if (!network.player) {
+      network.disconnect();
+      onlineMark = null;
+      onlineStarted = false;
+      onlineUI.showRetry(true);
+      return;
+    }
+
+    // Rejected move: let the player try again
+    if (onlineMovePending) {
+      onlineMovePending = false;
+      beginTurn();
+    }
+  };
+
+  network.onClose = () => {
+    onlineStarted = false;
+    onlineMovePending = false;
+    onlineUI.setStatus('DISCONNECTED');
+    onlineUI.showRetry(true);
+    syncRoundUI();
+    beginTurn();
+  };
+
+  onlineUI.setStatus('CONNECTING');
+  network.connect(ONLINE_ROOM, gameState.size);
+}
+
+function updateOnlineStatus(suffix = null) {
+  if (gameState.isGameOver) {
+    const result =
+      gameState.winner === 'draw'
+        ? 'DRAW'
+        : gameState.winner === onlineMark
+          ? 'YOU WIN'
+          : 'YOU LOSE';
+    onlineUI.setStatus(suffix ? `${result} - ${suffix}` : result);
+    return;
+  }
+
+  onlineUI.setStatus(
+    gameState.getCurrentPlayer() === onlineMark ? 'YOUR TURN' : "OPPONENT'S TURN"
+  );
+}
+
+// -------------------------------------
+// Replay a game record on the board
+// -------------------------------------
+function startReplay(record, { autoplay = true } = {}) {
+  if (record.size !== gameState.size) {
+    console.error(
+      `Game record is ${record.size}×${record.size}×${record.size}, open the demo with ?size=${record.size} to replay it.`
+    );
+    return;
+  }
+
+  endGameUI.hideAll();
+
+  replay.load(record);
+  replayUI.show();
+  syncRoundUI();
+  beginTurn(); // idle while the replay runs
+
+  if (autoplay) replay.play();
+}
+
 // -------------------------------------
 // Reset game state + visuals
 // -------------------------------------
 function resetGame() {
+  // Leave replay mode
+  replay.stop();
+  replayUI.hide();
+
   // Reset logic
   gameState.reset();
-  lastMoveTime = 0;
+  gameClock.reset();
 
   // Reset visuals
   boardView.resetVisuals();
   endGameUI.hideAll();
+  prepareRound();
+  syncRoundUI();
+  beginTurn();
 }
 
 // -------------------------------------